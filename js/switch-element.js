@@ -0,0 +1,4615 @@
+/**
+ * The switch element, without defining it as a custom element (see {@link defineSwitch} or import
+ * `switch-component.js` which defines `<cloud-switch>`).
+ * @module SwitchElement
+ */
+
+/**
+ * The element switches are built upon, a stand-in where there's no DOM (e.g. server-side rendering in Node)
+ * so the module can still be imported for {@link renderSwitchToString}.
+ * @private
+ * @constant
+ */
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+/*
+ * Switch Web Component
+ * @author [Chris Tudhope](http://github.com/cartoonclouds)
+ * @version 1.0.0
+ * @class
+ * @classdesc A HTML switch element with 'on' and 'off' states, the 'on' state value will be passed on a form submit.
+ * @extends HTMLElement
+ * @property {boolean} checked
+ * @property {boolean} defaultChecked
+ * @property {boolean} disabled
+ * @property {boolean} readonly
+ * @property {string|number} value
+ * @property {string} name
+ * @property {string} color
+ * @property {string} onText
+ * @property {string} offText
+ * @param {boolean} [checked=false] - The default state, reflected by the `defaultChecked` property.
+ * @param {boolean} [disabled=false]
+ * @param {boolean} [readonly=false]
+ * @param {string|number} [value=1] - The value passed when the form is submitted.
+ * @param {string} name
+ * @param {string} [color=info] - Any CSS color or one of the named themes of {@link VALID_COLORS}.
+ * @param {string} [on-text=ON]
+ * @param {string} [off-text=OFF]
+ */
+export class SwitchElement extends BaseElement {
+    /**
+     * Constructs the switch component object, HTML and shadow DOM.
+	 *
+	 * @constructor
+     */
+    constructor() {
+        super();
+
+		/**
+		 * Named color themes the switch can be set to, alongside any CSS color.
+		 * @readonly
+		 * @constant
+		 * @enum {number}
+		 */
+		this.VALID_COLORS = Object.keys(PRESET_COLORS);
+
+        // Create the shadow root, unless pre-rendered by renderSwitchToString() (declarative shadow DOM) which is hydrated
+		if(!this.shadowRoot) {
+			this.attachShadow({ mode: 'open' });
+
+			this.shadowRoot.appendChild(template.content.cloneNode(true));
+		}
+
+		/** @private */
+		this.shadowCheck = this.shadowRoot.querySelector('input');
+
+		/** @private */
+		this.label = this.shadowRoot.querySelector('[label]');
+
+		/** @private */
+		this.handle = this.shadowRoot.querySelector('[handle]');
+
+		/**
+		 * Slot for rich 'on' content, its fallback content being the 'on' text.
+		 * @private
+		 */
+		this.onSlot = this.shadowRoot.querySelector('slot[name="on"]');
+
+		/**
+		 * Slot for rich 'off' content, its fallback content being the 'off' text.
+		 * @private
+		 */
+		this.offSlot = this.shadowRoot.querySelector('slot[name="off"]');
+
+		/** @private */
+		this.handleSlot = this.shadowRoot.querySelector('slot[name="handle"]');
+
+		/**
+		 * The styles setting the switch's color, kept in the shadow root rather than the author's `style` attribute.
+		 * @private
+		 */
+		this.colorStyle = this.shadowRoot.querySelector('style[color]');
+
+		/**
+		 * The popover asking the user to confirm a change.
+		 * @private
+		 */
+		this.confirmDialog = this.shadowRoot.querySelector('[confirm]');
+
+		/**
+		 * Slot for the confirmation message, its fallback content being the `confirm-text`.
+		 * @private
+		 */
+		this.confirmSlot = this.shadowRoot.querySelector('slot[name="confirm"]');
+
+		/**
+		 * The fill of the track whilst the switch is pressed and held.
+		 * @private
+		 */
+		this.holdFill = this.shadowRoot.querySelector('[hold]');
+
+		/**
+		 * The bar on the track showing the time left before the switch reverts.
+		 * @private
+		 */
+		this.countdown = this.shadowRoot.querySelector('[countdown]');
+
+		/**
+		 * The form internals used to participate in forms, null where ElementInternals isn't supported.
+		 * @private
+		 */
+		this.internals = SUPPORTS_INTERNALS ? this.attachInternals() : null;
+
+		/**
+		 * Fallback checkbox which carries the value on form submission for browsers without ElementInternals.
+		 * It's appended to the light DOM on connect as constructors must not add children.
+		 * @private
+		 */
+		this.checkbox = null;
+
+		if(!this.internals) {
+			this.checkbox = document.createElement('input');
+			this.checkbox.setAttribute('type', 'checkbox');
+		}
+
+		/**
+		 * The live on/off state, following the `checked` attribute (the default state) until changed.
+		 * @private
+		 */
+		this._checked = false;
+
+		/**
+		 * Whether the state has been changed since the switch was created or reset, after which the `checked`
+		 * attribute no longer changes it (as a native checkbox's dirty checkedness flag).
+		 * @private
+		 */
+		this._dirty = false;
+
+		/**
+		 * Whether the switch has been connected before, its defaults only being set the first time.
+		 * @private
+		 */
+		this._initialised = false;
+
+		/** @private */
+		this._formDisabled = false;
+
+		/** @private */
+		this._form = null;
+
+		/** @private */
+		this._reset = this.formResetCallback.bind(this);
+
+		/** @private */
+		this._formData = this._formData.bind(this);
+
+		/** @private */
+		this._customValidity = '';
+
+		/**
+		 * The `aria-label` last generated by the switch, telling it apart from one set by the author. Only used
+		 * where the accessible name can't be set through ElementInternals.
+		 * @private
+		 */
+		this._ariaLabel = null;
+
+		/** @private */
+		this._root = null;
+
+		/**
+		 * The document the switch was connected to, which it's removed from the listeners of even once adopted by another.
+		 * @private
+		 */
+		this._document = null;
+
+		/**
+		 * The window of the document the switch was connected to, null for a document without one.
+		 * @private
+		 */
+		this._window = null;
+
+		/** @private */
+		this._labelClick = this._labelClick.bind(this);
+
+		/** @private */
+		this._updateAccessibleName = this._updateAccessibleName.bind(this);
+
+		/**
+		 * Whether changes of state are written to storage and the URL, only once the state has been restored from them.
+		 * @private
+		 */
+		this._persisting = false;
+
+		/** @private */
+		this._storageChange = this._storageChange.bind(this);
+
+		/** @private */
+		this._popState = this._popState.bind(this);
+
+		/**
+		 * The handle drag in progress, null when not dragging.
+		 * @private
+		 */
+		this._drag = null;
+
+		/**
+		 * Whether the handle was just dragged, so the click which follows mustn't toggle the switch again.
+		 * @private
+		 */
+		this._dragged = false;
+
+		/** @private */
+		this._shortcutKeydown = this._shortcutKeydown.bind(this);
+
+		/** @private */
+		this._pointerMove = this._pointerMove.bind(this);
+
+		/** @private */
+		this._pointerUp = this._pointerUp.bind(this);
+
+		/**
+		 * Lays out the handle whenever the switch is resized, e.g. by CSS, its container or a relative length.
+		 * @private
+		 */
+		this._resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(() => this._layout());
+
+		/**
+		 * Whether `this.checkbox` is an `<input type="checkbox">` written by the author and adopted by the switch.
+		 * @private
+		 */
+		this._adopted = false;
+
+		/**
+		 * Whether the switch is being updated from the adopted checkbox, which mustn't be written to meanwhile.
+		 * @private
+		 */
+		this._inputChanging = false;
+
+		/**
+		 * Adopts a checkbox as soon as it's added to the switch, then keeps the switch in sync with its attributes.
+		 * @private
+		 */
+		this._inputObserver = new MutationObserver(() => this._adopted ? this._inputChange() : this._adopt());
+		this._inputObserver.observe(this, { childList: true });
+
+		/**
+		 * The elements the switch has disabled, hidden or made inert, and the attribute it set on each.
+		 * @private
+		 * @type {Map.<Element, string>}
+		 */
+		this._controlled = new Map();
+
+		/**
+		 * Re-applies the controlled state as the controlled elements, or elements within them, are added or removed.
+		 * @private
+		 */
+		this._controlsObserver = new MutationObserver(records => this._controlsMutated(records));
+
+		/**
+		 * The state awaiting the user's confirmation, null when not confirming.
+		 * @private
+		 */
+		this._confirming = null;
+
+		/** @private */
+		this._confirmClick = this._confirmClick.bind(this);
+
+		/**
+		 * The press-and-hold in progress, null when not holding.
+		 * @private
+		 */
+		this._hold = null;
+
+		/** @private */
+		this._holdRelease = this._holdRelease.bind(this);
+
+		/** @private */
+		this._focusOut = this._focusOut.bind(this);
+
+		/**
+		 * The press of a momentary switch in progress, null when not pressed.
+		 * @private
+		 */
+		this._press = null;
+
+		/** @private */
+		this._pressRelease = this._pressRelease.bind(this);
+
+		/**
+		 * Whether a momentary switch was released whilst its change was pending, turning it 'off' once settled.
+		 * @private
+		 */
+		this._pressReleased = false;
+
+		/**
+		 * The timer reverting the switch to its default state, null when not counting down.
+		 * @private
+		 */
+		this._revertTimer = null;
+    }
+
+
+	/**
+	 * Marks the switch as a form-associated custom element.
+	 *
+	 * @private
+	 * @see {@link https://html.spec.whatwg.org/multipage/custom-elements.html#form-associated-custom-elements|Form-associated custom elements}
+	 * @return {boolean}
+	 */
+	static get formAssociated() {
+		return true;
+	}
+
+
+	/**
+	 * Registers the 'on' and 'off' text of a language, shown by switches whose nearest `lang` attribute
+	 * is that language (or a regional variant of it) and which have no `on-text`/`off-text` of their own.
+	 *
+	 * Switches already on the page are updated, as they are whenever a `lang` attribute changes.
+	 *
+	 * @example
+	 * SwitchElement.registerLocale('de', { on: 'AN', off: 'AUS' });
+	 *
+	 * @param {string} lang - A BCP 47 language tag, e.g. 'de' or 'pt-BR'.
+	 * @param {object} text
+	 * @param {string} text.on - The text shown when a switch is 'on'.
+	 * @param {string} text.off - The text shown when a switch is 'off'.
+	 */
+	static registerLocale(lang, { on, off }) {
+		LOCALES.set(String(lang).toLowerCase(), { on: String(on), off: String(off) });
+
+		connectedSwitches.forEach(element => element._updateText());
+	}
+
+
+	/**
+	 * Callback function when the switch element is appended to the DOM.
+	 *
+	 * @private
+	 * @callback connectedCallback
+	 * @see {@link https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks|Web Components - Using the Lifecycle Callbacks}
+	 */
+	connectedCallback() {
+		// Moving the switch in the DOM re-connects it, which mustn't override its attributes or state
+		if(!this._initialised) {
+			this._initialised = true;
+
+			if (!this.hasAttribute('role'))
+				this.setAttribute('role', 'switch');
+
+			if (!this.hasAttribute('tabindex'))
+				this.setAttribute('tabindex', 0);
+
+			if (!this.hasAttribute('color'))
+				this.setAttribute('color', 'info');
+
+			this._adopt();
+
+			if (!this.hasAttribute('value'))
+				this.setAttribute('value', 1);
+
+			this._restoreState();
+			this._restoreUrl();
+		}
+
+		this._persisting = true;
+
+		this._updateFormValue();
+		this._updateValidity();
+		this._observeControls();
+
+
+		if(!this.internals) {
+			if(this.checkbox.parentNode !== this)
+				this.appendChild(this.checkbox);
+
+			// Without ElementInternals the switch isn't told of a form reset, so listen for it
+			this._form = this.checkbox.form;
+
+			if(this._form) {
+				this._form.addEventListener('reset', this._reset);
+
+				// The checkbox submits nothing when unchecked, so the 'off' value is added to the form's data
+				this._form.addEventListener('formdata', this._formData);
+			}
+
+			// Nor do its labels toggle it, so listen for clicks on them
+			this._root = this.getRootNode();
+			this._root.addEventListener('click', this._labelClick);
+		}
+
+		connectedSwitches.add(this);
+
+		// Until upgraded a switch within a controlled element can't be disabled, so have its controllers re-apply
+		connectedSwitches.forEach(element => {
+			if(element !== this && element.controls && element._controlTargets().some(target => target.contains(this)))
+				element._updateControls();
+		});
+		observeLang(this.ownerDocument);
+		observeLabels(this.ownerDocument);
+
+		this._updateText();
+		this._updateAria();
+
+		if(this._resizeObserver) {
+			this._resizeObserver.observe(this);
+		} else {
+			this._layout();
+		}
+
+
+		/**
+		 * Attaches the click event to the switch.
+		 * @param {string} type
+		 * @param {_click} listener
+		 * @param {boolean} useCapture
+		 */
+		this.addEventListener('click', this._click, true);
+
+		/**
+		 * Attaches the keydown event to the switch.
+		 * @param {string} type
+		 * @param {_keydown} listener
+		 * @param {boolean} useCapture
+		 */
+		this.addEventListener('keydown', this._keydown, true);
+
+		/**
+		 * Attaches the keydown event to the document, toggling the switch by its shortcut from anywhere on the page.
+		 * @param {string} type
+		 * @param {_shortcutKeydown} listener
+		 */
+		this._document = this.ownerDocument;
+		this._document.addEventListener('keydown', this._shortcutKeydown);
+
+		this._window = this._document.defaultView;
+
+		if(this._window) {
+			/**
+			 * Attaches the storage event to the window, updating a persisted switch when it's changed in another tab.
+			 * @param {string} type
+			 * @param {_storageChange} listener
+			 */
+			this._window.addEventListener('storage', this._storageChange);
+
+			/**
+			 * Attaches the popstate event to the window, restoring a switch bound to the URL on back/forward navigation.
+			 * @param {string} type
+			 * @param {_popState} listener
+			 */
+			this._window.addEventListener('popstate', this._popState);
+		}
+
+		/**
+		 * Attaches the pointerdown event to the switch, starting a drag of the handle.
+		 * @param {string} type
+		 * @param {_pointerDown} listener
+		 */
+		this.addEventListener('pointerdown', this._pointerDown);
+
+		/**
+		 * Attaches the focus event to the switch, labels may have been added since it was connected.
+		 * @param {string} type
+		 * @param {_updateAccessibleName} listener
+		 */
+		this.addEventListener('focus', this._updateAccessibleName);
+
+		/**
+		 * Attaches the slotchange event to the on/off slots, the accessible name may come from their content.
+		 * @param {string} type
+		 * @param {_updateAccessibleName} listener
+		 */
+		this.onSlot.addEventListener('slotchange', this._updateAccessibleName);
+		this.offSlot.addEventListener('slotchange', this._updateAccessibleName);
+
+		/**
+		 * Attaches the click event to the confirmation popover, confirming or cancelling the change.
+		 * @param {string} type
+		 * @param {_confirmClick} listener
+		 */
+		this.confirmDialog.addEventListener('click', this._confirmClick);
+
+		/**
+		 * Attaches the focusout event to the switch, cancelling a confirmation or hold once focus leaves it.
+		 * @param {string} type
+		 * @param {_focusOut} listener
+		 */
+		this.addEventListener('focusout', this._focusOut);
+	}
+
+
+	/**
+	 * Callback function when the switch element is removed from the DOM.
+	 *
+	 * @private
+	 * @callback disconnectedCallback
+	 * @see {@link https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks|Web Components - Using the Lifecycle Callbacks}
+	 */
+	disconnectedCallback() {
+		this.removeEventListener('click', this._click, true);
+		this.removeEventListener('keydown', this._keydown, true);
+		this.removeEventListener('focus', this._updateAccessibleName);
+		this.onSlot.removeEventListener('slotchange', this._updateAccessibleName);
+		this.offSlot.removeEventListener('slotchange', this._updateAccessibleName);
+		this.removeEventListener('pointerdown', this._pointerDown);
+		this.confirmDialog.removeEventListener('click', this._confirmClick);
+		this.removeEventListener('focusout', this._focusOut);
+
+		connectedSwitches.delete(this);
+
+		this._persisting = false;
+
+		// Let go of the controlled elements, which would otherwise stay disabled, hidden or inert
+		this._controlsObserver.disconnect();
+		this._updateControls();
+
+		this._endDrag();
+		this._endHold();
+		this._endPress();
+		this._endRevert();
+		this._closeConfirm(false);
+
+		if(this._resizeObserver)
+			this._resizeObserver.disconnect();
+
+		if(this._form) {
+			this._form.removeEventListener('reset', this._reset);
+			this._form.removeEventListener('formdata', this._formData);
+			this._form = null;
+		}
+
+		if(this._root) {
+			this._root.removeEventListener('click', this._labelClick);
+			this._root = null;
+		}
+
+		// The switch may have been adopted by another document (e.g. moved into an iframe), so not its ownerDocument
+		this._document.removeEventListener('keydown', this._shortcutKeydown);
+		this._document = null;
+
+		if(this._window) {
+			this._window.removeEventListener('storage', this._storageChange);
+			this._window.removeEventListener('popstate', this._popState);
+			this._window = null;
+		}
+	}
+
+
+	/**
+	 * Callback function when the owning form is reset, restoring the switch to its default state (the `checked` attribute).
+	 *
+	 * @private
+	 * @callback formResetCallback
+	 */
+	formResetCallback() {
+		this._dirty = false;
+		this._setChecked(this.defaultChecked);
+	}
+
+
+	/**
+	 * Callback function when the disabled state of an ancestor (e.g. a `<fieldset>`) changes.
+	 *
+	 * @private
+	 * @callback formDisabledCallback
+	 * @param {boolean} disabled - Whether the switch is disabled by an ancestor.
+	 */
+	formDisabledCallback(disabled) {
+		this._formDisabled = disabled;
+		this._updateAria();
+	}
+
+
+	/**
+	 * Callback function when the browser restores the switch's state (back/forward navigation or autofill).
+	 *
+	 * @private
+	 * @callback formStateRestoreCallback
+	 * @param {string} state - The state previously saved via `setFormValue()`, either 'on' or 'off'.
+	 */
+	formStateRestoreCallback(state) {
+		this.checked = state === 'on';
+	}
+
+
+	/**
+	 * Gets the form the switch is associated with.
+	 *
+	 * @return {HTMLFormElement|null} The owning form, or null if there isn't one.
+	 */
+	get form() {
+		return this.internals ? this.internals.form : this.checkbox.form;
+	}
+
+
+	/**
+	 * Gets the `<label>` elements associated with the switch, either through their `for` attribute or by wrapping it.
+	 *
+	 * @return {NodeList|HTMLLabelElement[]} The switch's labels.
+	 */
+	get labels() {
+		if(this.internals)
+			return this.internals.labels;
+
+		const root = this.getRootNode();
+		const labels = this.id && root.querySelectorAll
+			? Array.from(root.querySelectorAll(`label[for="${CSS.escape(this.id)}"]`))
+			: [];
+		const parent = this.parentElement ? this.parentElement.closest('label') : null;
+
+		if(parent && !labels.includes(parent))
+			labels.push(parent);
+
+		return labels;
+	}
+
+
+	/**
+	 * Response to a _click_ anywhere in the switch's root, toggling the switch when one of its labels is clicked.
+	 *
+	 * Only listened to without ElementInternals, otherwise the browser activates the switch itself.
+	 *
+	 * @private
+	 * @listens MouseEvent~event:click
+	 * @param {MouseEvent~click} e - The mouse-click event.
+	 */
+	_labelClick(e) {
+		const label = e.target instanceof Element ? e.target.closest('label') : null;
+
+		if(!label || !Array.from(this.labels).includes(label))
+			return;
+
+		// The label would otherwise activate the fallback checkbox, toggling the switch a second time
+		e.preventDefault();
+
+		if(!this.contains(e.target))
+			this.click();
+	}
+
+
+	/**
+	 * Whether the switch is unresponsive to user input, being readonly, disabled (directly or by a `<fieldset>`)
+	 * or waiting on a change to be saved.
+	 *
+	 * @private
+	 * @return {boolean}
+	 */
+	_isLocked() {
+		return this.readonly || this.disabled || this._formDisabled || this.pending;
+	}
+
+
+	/**
+	 * Updates the value submitted with the form to reflect the switch's current state.
+	 *
+	 * @private
+	 */
+	_updateFormValue() {
+		const value = this.checked ? this.value : this.offValue;
+
+		if(this._adopted) {
+			this._syncInput();
+
+			// The adopted checkbox submits the 'on' value itself, as it does without the component, leaving
+			// the 'off' value (where ElementInternals is supported) to the switch
+			if(this.internals)
+				this.internals.setFormValue(this.checked ? null : value, this.checked ? 'on' : 'off');
+
+			return;
+		}
+
+		if(this.internals) {
+			this.internals.setFormValue(value, this.checked ? 'on' : 'off');
+			return;
+		}
+
+		// The checkbox is checked only whilst the switch is 'on', so it validates as the switch (e.g. when required)
+		if(this.value !== null)
+			this.checkbox.setAttribute('value', this.value);
+
+		if(this.checked) {
+			this.checkbox.setAttribute('checked', '');
+		} else {
+			this.checkbox.removeAttribute('checked');
+		}
+
+		this.checkbox.checked = this.checked;
+	}
+
+
+	/**
+	 * Response to the owning form's _formdata_ event without ElementInternals, adding the 'off' value whilst the
+	 * switch is 'off' as the checkbox submits nothing then.
+	 *
+	 * @private
+	 * @listens FormDataEvent~event:formdata
+	 * @param {FormDataEvent} e - The formdata event.
+	 */
+	_formData(e) {
+		if(this.checked || this.offValue === null || !this.name || this.checkbox.matches(':disabled')) return;
+
+		e.formData.append(this.name, this.offValue);
+	}
+
+
+	/**
+	 * Adopts an `<input type="checkbox">` child as the switch's state (progressive enhancement, the page working
+	 * as a plain checkbox without the component). The switch takes its name, value, state, disabled and required
+	 * attributes, which are then kept in sync both ways.
+	 *
+	 * @private
+	 */
+	_adopt() {
+		const input = Array.from(this.children)
+			.find(child => child !== this.checkbox && child.matches('input[type="checkbox"]'));
+
+		if(!input) return;
+
+		// Replace the fallback checkbox, the adopted one carries the value instead
+		if(this.checkbox)
+			this.checkbox.remove();
+
+		this.checkbox = input;
+		this._adopted = true;
+
+		// The checkbox may have been changed before the component loaded, or restored by the browser
+		const checked = input.checked !== input.defaultChecked ? input.checked : null;
+
+		this._inputChange();
+
+		if(checked !== null)
+			this.checked = checked;
+
+		const element = this;
+		const property = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'checked');
+
+		// Scripts written for the plain checkbox set its checked property, which no attribute or event reflects
+		Object.defineProperty(input, 'checked', {
+			configurable: true,
+			enumerable: true,
+			get() {
+				return property.get.call(this);
+			},
+			set(value) {
+				property.set.call(this, value);
+
+				if(!element._inputChanging && this.checked !== element.checked)
+					element.checked = this.checked;
+			},
+		});
+
+		/**
+		 * Attaches the click event to the adopted checkbox, which a click (e.g. `input.click()`) changes before
+		 * the switch handles it, undoing the change unless the switch changed with it.
+		 * @param {string} type
+		 * @param {function(MouseEvent)} listener
+		 */
+		input.addEventListener('click', e => {
+			if(input.checked !== this.checked)
+				e.preventDefault();
+		});
+
+		this._inputObserver.observe(input, {
+			attributes: true,
+			attributeFilter: ['name', 'value', 'checked', 'disabled', 'required'],
+		});
+	}
+
+
+	/**
+	 * Updates the switch from the adopted checkbox's attributes.
+	 *
+	 * @private
+	 */
+	_inputChange() {
+		const input = this.checkbox;
+
+		this._inputChanging = true;
+
+		if(input.hasAttribute('name') && input.getAttribute('name') !== this.name)
+			this.name = input.getAttribute('name');
+
+		// Without a value attribute a checkbox's value is 'on'
+		if(input.value !== this.value)
+			this.value = input.value;
+
+		if(input.defaultChecked !== this.defaultChecked)
+			this.defaultChecked = input.defaultChecked;
+
+		if(input.disabled !== this.disabled)
+			this.disabled = input.disabled;
+
+		if(input.required !== this.required)
+			this.required = input.required;
+
+		this._inputChanging = false;
+
+		this._updateFormValue();
+	}
+
+
+	/**
+	 * Updates the adopted checkbox from the switch, only changing what differs as the checkbox's attributes are observed.
+	 *
+	 * @private
+	 */
+	_syncInput() {
+		const input = this.checkbox;
+
+		if(this._inputChanging) return;
+
+		if(this.name !== null && input.getAttribute('name') !== this.name)
+			input.setAttribute('name', this.name);
+
+		if(this.value !== null && input.getAttribute('value') !== this.value)
+			input.setAttribute('value', this.value);
+
+		if(input.defaultChecked !== this.defaultChecked)
+			input.defaultChecked = this.defaultChecked;
+
+		if(input.required !== this.required)
+			input.required = this.required;
+
+		input.checked = this.checked;
+	}
+
+
+	/**
+	 * Toggles the switch on<->off.
+	 *
+	 * @fires MouseEvent#event:click
+	 */
+	toggle() {
+		return this.click();
+	}
+
+
+	 /**
+	 * Response to the _click_ event. Setting the switch 'on' or 'off', immediately returning if the element is readonly/disabled.
+	 *
+	 * @private
+	 * @listens MouseEvent~event:click
+	 * @param {MouseEvent~click} e - The mouse-click event.
+	 */
+	_click(e) {
+		// The confirmation popover's buttons are handled by it
+		if(this._fromConfirm(e)) return;
+
+		if(this._dragged) {
+			this._dragged = false;
+			e.preventDefault();
+			return;
+		}
+
+		if(this._isLocked()) {
+			e.preventDefault();
+			return;
+		}
+
+		// Only pressing and holding toggles the switch, a momentary one is 'on' only whilst pressed
+		if(this.hold !== null || this.mode === 'momentary') return false;
+
+		return this._request();
+	}
+
+
+	/**
+	 * Response to the _keydown_ event, immediately returning if the element is readonly/disabled:
+	 * - SPACE and ENTER toggle the switch 'on' or 'off'
+	 * - RIGHT and LEFT arrows set the switch 'on' and 'off' respectively (reversed for right-to-left text)
+	 * - UP and DOWN arrows set a vertical switch 'on' and 'off' respectively
+	 * - HOME and END set the switch 'off' and 'on' respectively
+	 *
+	 * The default action of the keys is prevented, so SPACE doesn't scroll the page nor ENTER submit the form.
+	 * ESCAPE cancels a confirmation, whose buttons otherwise have the keys.
+	 *
+	 * @private
+	 * @listens KeyboardEvent~event:keydown
+	 * @param {KeyboardEvent~keydown} e - The keydown event.
+	 */
+	_keydown(e) {
+		if(e.key === 'Escape' && this._confirming !== null) {
+			e.preventDefault();
+			this._closeConfirm();
+			return false;
+		}
+
+		if(e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || this._fromConfirm(e)) return false;
+
+		let state;
+
+		switch (e.key) {
+			case ' ':
+			case 'Enter':
+				state = !this.checked;
+				break;
+
+			case 'ArrowRight':
+				state = !this._isRtl();
+				break;
+
+			case 'ArrowLeft':
+				state = this._isRtl();
+				break;
+
+			case 'ArrowUp':
+			case 'ArrowDown':
+				if(!this._isVertical()) return false;
+
+				state = e.key === 'ArrowUp';
+				break;
+
+			case 'Home':
+				state = false;
+				break;
+
+			case 'End':
+				state = true;
+				break;
+
+			default:
+				return false;
+		}
+
+		e.preventDefault();
+
+		// Holding the key down mustn't flip the switch back and forth
+		if(this._isLocked() || e.repeat) return false;
+
+		if(this.mode === 'momentary')
+			return (e.key === ' ' || e.key === 'Enter') && this._startPress(e);
+
+		if(this.hold !== null) return this._startHold(state, e);
+
+		return this._request(state);
+	}
+
+
+	/**
+	 * Response to the _keydown_ event anywhere in the document, toggling the switch when its shortcut is pressed.
+	 *
+	 * @private
+	 * @listens KeyboardEvent~event:keydown
+	 * @param {KeyboardEvent~keydown} e - The keydown event.
+	 */
+	_shortcutKeydown(e) {
+		if(e.defaultPrevented || e.repeat || !this.shortcut || !matchesShortcut(e, this.shortcut)) return false;
+
+		e.preventDefault();
+
+		if(this._isLocked()) return false;
+
+		if(this.mode === 'momentary') return this._startPress(e);
+
+		if(this.hold !== null) return this._startHold(!this.checked, e);
+
+		return this._request();
+	}
+
+
+	/**
+	 * Whether the switch is laid out right-to-left, e.g. from `dir="rtl"` on it or an ancestor.
+	 *
+	 * @private
+	 * @return {boolean}
+	 */
+	_isRtl() {
+		return getComputedStyle(this).direction === 'rtl';
+	}
+
+
+	/**
+	 * Whether the switch is vertical, its handle travelling bottom-to-top.
+	 *
+	 * @private
+	 * @return {boolean}
+	 */
+	_isVertical() {
+		return this.orientation === 'vertical';
+	}
+
+
+	/**
+	 * Response to the _pointerdown_ event, starting to drag the handle with the mouse, pen or finger.
+	 *
+	 * @private
+	 * @listens PointerEvent~event:pointerdown
+	 * @param {PointerEvent~pointerdown} e - The pointerdown event.
+	 */
+	_pointerDown(e) {
+		this._dragged = false;
+
+		if(this._isLocked() || this._drag || e.button !== 0 || this._fromConfirm(e)) return;
+
+		if(this.mode === 'momentary') {
+			this._startPress(e);
+			return;
+		}
+
+		// A switch which must be held can't be dragged across
+		if(this.hold !== null) {
+			this._startHold(!this.checked, e);
+			return;
+		}
+
+		const offset = this._handleOffset();
+		const position = this._pointerPosition(e);
+
+		this._drag = {
+			pointerId: e.pointerId,
+			start: position,
+			startOffset: offset,
+			offset: offset,
+			min: HANDLE_INSET,
+			max: Number.parseFloat(this.handle.style.getPropertyValue('--handle-offset')) || offset,
+			last: position,
+			lastTime: e.timeStamp,
+			velocity: 0,
+			moved: false,
+		};
+
+		this.setPointerCapture(e.pointerId);
+
+		this.addEventListener('pointermove', this._pointerMove);
+		this.addEventListener('pointerup', this._pointerUp);
+		this.addEventListener('pointercancel', this._pointerUp);
+	}
+
+
+	/**
+	 * Response to the _pointermove_ event, moving the handle with the pointer between its 'off' and 'on' positions.
+	 *
+	 * @private
+	 * @listens PointerEvent~event:pointermove
+	 * @param {PointerEvent~pointermove} e - The pointermove event.
+	 */
+	_pointerMove(e) {
+		const drag = this._drag;
+
+		if(!drag || e.pointerId !== drag.pointerId) return;
+
+		const position = this._pointerPosition(e);
+		const distance = position - drag.start;
+
+		// Small movements are still a tap
+		if(!drag.moved && Math.abs(distance) < DRAG_THRESHOLD) return;
+
+		const elapsed = e.timeStamp - drag.lastTime;
+
+		if(elapsed > 0)
+			drag.velocity = (position - drag.last) / elapsed;
+
+		drag.moved = true;
+		drag.last = position;
+		drag.lastTime = e.timeStamp;
+		drag.offset = Math.min(Math.max(drag.startOffset + distance, drag.min), drag.max);
+
+		this.handle.style.setProperty('transition', 'none');
+		this.handle.style.setProperty('margin', '0');
+
+		if(this._isVertical()) {
+			this.handle.style.setProperty('top', 'auto');
+			this.handle.style.setProperty('bottom', `${drag.offset}px`);
+		} else {
+			this.handle.style.setProperty('inset-inline-start', `${drag.offset}px`);
+		}
+	}
+
+
+	/**
+	 * The position of the pointer along the direction the handle travels from 'off' to 'on': rightwards,
+	 * leftwards for right-to-left text or upwards when vertical.
+	 *
+	 * @private
+	 * @param {PointerEvent} e - A pointer event.
+	 * @return {number} The position in px.
+	 */
+	_pointerPosition(e) {
+		if(this._isVertical()) return -e.clientY;
+
+		return this._isRtl() ? -e.clientX : e.clientX;
+	}
+
+
+	/**
+	 * The distance of the handle from its 'off' edge of the track.
+	 *
+	 * @private
+	 * @return {number} The distance in px.
+	 */
+	_handleOffset() {
+		const host = this.getBoundingClientRect();
+		const handle = this.handle.getBoundingClientRect();
+
+		if(this._isVertical())
+			return host.bottom - this.clientTop - handle.bottom;
+
+		if(this._isRtl())
+			return host.right - this.clientLeft - handle.right;
+
+		return handle.left - host.left - this.clientLeft;
+	}
+
+
+	/**
+	 * Response to the _pointerup_ and _pointercancel_ events, snapping the dragged handle to the nearest side, or the
+	 * side it was flicked towards.
+	 *
+	 * A tap (the handle not dragged) is left to the _click_ event which follows.
+	 *
+	 * @private
+	 * @listens PointerEvent~event:pointerup
+	 * @listens PointerEvent~event:pointercancel
+	 * @param {PointerEvent~pointerup} e - The pointerup or pointercancel event.
+	 */
+	_pointerUp(e) {
+		const drag = this._drag;
+
+		if(!drag || e.pointerId !== drag.pointerId) return;
+
+		this._endDrag();
+
+		if(!drag.moved || e.type === 'pointercancel') return;
+
+		this._dragged = true;
+		setTimeout(() => this._dragged = false);
+
+		let state;
+
+		if(Math.abs(drag.velocity) >= FLICK_VELOCITY) {
+			state = drag.velocity > 0;
+		} else {
+			state = drag.offset > (drag.min + drag.max) / 2;
+		}
+
+		this._request(state);
+	}
+
+
+	/**
+	 * Stops any drag of the handle, returning it to its styled position.
+	 *
+	 * @private
+	 */
+	_endDrag() {
+		if(!this._drag) return;
+
+		if(this.hasPointerCapture(this._drag.pointerId))
+			this.releasePointerCapture(this._drag.pointerId);
+
+		this._drag = null;
+
+		this.removeEventListener('pointermove', this._pointerMove);
+		this.removeEventListener('pointerup', this._pointerUp);
+		this.removeEventListener('pointercancel', this._pointerUp);
+
+		this.handle.style.removeProperty('transition');
+		this.handle.style.removeProperty('margin');
+		this.handle.style.removeProperty('top');
+		this.handle.style.removeProperty('bottom');
+		this.handle.style.removeProperty('inset-inline-start');
+	}
+
+
+	/**
+	 * Requests a change of state by the user, asking them to confirm it first where the switch requires.
+	 *
+	 * @private
+	 * @param {boolean} [state] - The state to change to, defaults to the opposite of the current state.
+	 * @return {boolean} True if the state changed, false if it was vetoed or awaits confirmation.
+	 */
+	_request(state = !this.checked) {
+		if(state === this.checked && !this.indeterminate) return false;
+
+		const confirm = this.confirm;
+
+		if(confirm !== null && (confirm === '' || confirm === (state ? 'on' : 'off'))) {
+			this._openConfirm(state);
+			return false;
+		}
+
+		return this._toggle(state);
+	}
+
+
+	/**
+	 * Whether the event comes from within the confirmation popover.
+	 *
+	 * @private
+	 * @param {Event} e
+	 * @return {boolean}
+	 */
+	_fromConfirm(e) {
+		return e.composedPath().includes(this.confirmDialog);
+	}
+
+
+	/**
+	 * Shows the confirmation popover, focusing its cancel button: as an alert dialog it focuses the least
+	 * destructive action, so pressing ENTER or SPACE once more doesn't confirm the change.
+	 *
+	 * @private
+	 * @param {boolean} state - The state to change to once confirmed.
+	 */
+	_openConfirm(state) {
+		this._confirming = state;
+		this.confirmDialog.hidden = false;
+
+		this.confirmDialog.querySelector('[confirm-cancel]').focus();
+	}
+
+
+	/**
+	 * Hides the confirmation popover, without changing the state.
+	 *
+	 * @private
+	 * @param {boolean} [restoreFocus=true] - Whether to focus the switch again.
+	 */
+	_closeConfirm(restoreFocus = true) {
+		if(this._confirming === null) return;
+
+		this._confirming = null;
+		this.confirmDialog.hidden = true;
+
+		if(restoreFocus)
+			this.focus();
+	}
+
+
+	/**
+	 * Response to the _click_ event of the confirmation popover, changing the state if confirmed.
+	 *
+	 * @private
+	 * @listens MouseEvent~event:click
+	 * @param {MouseEvent~click} e - The mouse-click event.
+	 */
+	_confirmClick(e) {
+		const path = e.composedPath();
+		const state = this._confirming;
+
+		if(path.includes(this.confirmDialog.querySelector('[confirm-accept]'))) {
+			this._closeConfirm();
+
+			if(!this._isLocked())
+				this._toggle(state);
+		} else if(path.includes(this.confirmDialog.querySelector('[confirm-cancel]'))) {
+			this._closeConfirm();
+		}
+	}
+
+
+	/**
+	 * Response to the _focusout_ event, cancelling a confirmation or hold once focus leaves the switch.
+	 *
+	 * @private
+	 * @listens FocusEvent~event:focusout
+	 * @param {FocusEvent~focusout} e - The focusout event.
+	 */
+	_focusOut(e) {
+		if(e.relatedTarget && this.contains(e.relatedTarget)) return;
+
+		this._closeConfirm(false);
+		this._endHold();
+		this._endPress();
+	}
+
+
+	/**
+	 * Starts a press-and-hold, changing the state once the switch has been held for `hold` ms. Whilst held the
+	 * track fills up, and releasing the pointer or key early cancels the change.
+	 *
+	 * @private
+	 * @param {boolean} state - The state to change to once held.
+	 * @param {PointerEvent|KeyboardEvent} e - The event starting the hold.
+	 * @return {boolean} True if the hold started.
+	 */
+	_startHold(state, e) {
+		if(this._hold || (state === this.checked && !this.indeterminate)) return false;
+
+		const duration = this.hold;
+
+		this._hold = {
+			state,
+			pointerId: e.type === 'pointerdown' ? e.pointerId : null,
+			key: e.type === 'keydown' ? keyOf(e) : null,
+			timer: setTimeout(() => {
+				this._endHold();
+				this._request(state);
+			}, duration),
+		};
+
+		this.holdFill.style.setProperty('--hold-duration', `${duration}ms`);
+		this.setAttribute('holding', '');
+
+		if(this._hold.pointerId !== null) {
+			this.setPointerCapture(e.pointerId);
+
+			this.addEventListener('pointerup', this._holdRelease);
+			this.addEventListener('pointercancel', this._holdRelease);
+		} else {
+			this._document.addEventListener('keyup', this._holdRelease);
+		}
+
+		return true;
+	}
+
+
+	/**
+	 * Response to the _pointerup_, _pointercancel_ and _keyup_ events, cancelling a hold released too early. Only
+	 * the pointer or key which started the hold releases it, not e.g. letting go of SHIFT.
+	 *
+	 * @private
+	 * @listens PointerEvent~event:pointerup
+	 * @listens PointerEvent~event:pointercancel
+	 * @listens KeyboardEvent~event:keyup
+	 * @param {PointerEvent|KeyboardEvent} e - The pointerup, pointercancel or keyup event.
+	 */
+	_holdRelease(e) {
+		if(!this._hold) return;
+
+		if(this._hold.pointerId !== null ? e.pointerId !== this._hold.pointerId : keyOf(e) !== this._hold.key) return;
+
+		this._endHold();
+	}
+
+
+	/**
+	 * Stops any press-and-hold, emptying the track.
+	 *
+	 * @private
+	 */
+	_endHold() {
+		if(!this._hold) return;
+
+		clearTimeout(this._hold.timer);
+
+		if(this._hold.pointerId !== null && this.hasPointerCapture(this._hold.pointerId))
+			this.releasePointerCapture(this._hold.pointerId);
+
+		this._hold = null;
+
+		this.removeEventListener('pointerup', this._holdRelease);
+		this.removeEventListener('pointercancel', this._holdRelease);
+		this._document.removeEventListener('keyup', this._holdRelease);
+
+		this.removeAttribute('holding');
+	}
+
+
+	/**
+	 * Starts a press of a momentary switch, turning it 'on' until the pointer or key is released.
+	 *
+	 * @private
+	 * @param {PointerEvent|KeyboardEvent} e - The event starting the press.
+	 * @return {boolean} True if the press started.
+	 */
+	_startPress(e) {
+		if(this._press) return false;
+
+		this._press = {
+			pointerId: e.type === 'pointerdown' ? e.pointerId : null,
+			key: e.type === 'keydown' ? keyOf(e) : null,
+		};
+
+		if(this._press.pointerId !== null) {
+			this.setPointerCapture(e.pointerId);
+
+			this.addEventListener('pointerup', this._pressRelease);
+			this.addEventListener('pointercancel', this._pressRelease);
+		} else {
+			this._document.addEventListener('keyup', this._pressRelease);
+		}
+
+		this._toggle(true);
+
+		return true;
+	}
+
+
+	/**
+	 * Response to the _pointerup_, _pointercancel_ and _keyup_ events, releasing a momentary switch. Only the
+	 * pointer or key which pressed it releases it, not e.g. letting go of SHIFT.
+	 *
+	 * @private
+	 * @listens PointerEvent~event:pointerup
+	 * @listens PointerEvent~event:pointercancel
+	 * @listens KeyboardEvent~event:keyup
+	 * @param {PointerEvent|KeyboardEvent} e - The pointerup, pointercancel or keyup event.
+	 */
+	_pressRelease(e) {
+		if(!this._press) return;
+
+		if(this._press.pointerId !== null ? e.pointerId !== this._press.pointerId : keyOf(e) !== this._press.key) return;
+
+		this._endPress();
+	}
+
+
+	/**
+	 * Ends any press of a momentary switch, turning it back 'off'.
+	 *
+	 * @private
+	 */
+	_endPress() {
+		if(!this._press) return;
+
+		if(this._press.pointerId !== null && this.hasPointerCapture(this._press.pointerId))
+			this.releasePointerCapture(this._press.pointerId);
+
+		this._press = null;
+
+		this.removeEventListener('pointerup', this._pressRelease);
+		this.removeEventListener('pointercancel', this._pressRelease);
+		this._document.removeEventListener('keyup', this._pressRelease);
+
+		// A change can't be made whilst another is saved, so release once the press's change has settled
+		if(this.pending) {
+			this._pressReleased = true;
+		} else {
+			this._toggle(false);
+		}
+	}
+
+
+	/**
+	 * Starts counting down to revert the switch to its default state, once a change by the user from it has
+	 * been committed. The track shows the time left.
+	 *
+	 * @private
+	 */
+	_startRevert() {
+		this._endRevert();
+
+		const duration = this.autoRevert;
+
+		if(duration === null || this.checked === this.defaultChecked) return;
+
+		this._revertTimer = setTimeout(() => {
+			this._endRevert();
+
+			// Whilst a change is saved the switch can't revert, the countdown restarting once it's committed
+			if(!this.pending)
+				this._toggle(this.defaultChecked);
+		}, duration);
+
+		this.countdown.style.setProperty('--revert-duration', `${duration}ms`);
+		this.setAttribute('reverting', '');
+	}
+
+
+	/**
+	 * Stops any countdown to revert the switch.
+	 *
+	 * @private
+	 */
+	_endRevert() {
+		if(this._revertTimer === null) return;
+
+		clearTimeout(this._revertTimer);
+		this._revertTimer = null;
+
+		this.removeAttribute('reverting');
+	}
+
+
+	/**
+	 * Changes the state of the switch in response to user interaction.
+	 *
+	 * A cancelable _beforetoggle_ event is fired first, which vetoes the change when cancelled. Otherwise
+	 * `checked` is updated and the _input_ and _beforechange_ events fired. Listeners of _beforechange_ may
+	 * call `event.waitUntil(promise)` to hold the switch `pending` until the change is saved: it's committed
+	 * with the _change_ event once the promises resolve, or rolled back with an _error_ event if one rejects.
+	 * Programmatic changes of `checked` fire no events.
+	 *
+	 * @private
+	 * @fires SwitchElement#event:beforetoggle
+	 * @fires SwitchElement#event:input
+	 * @fires SwitchElement#event:beforechange
+	 * @fires SwitchElement#event:change
+	 * @fires SwitchElement#event:error
+	 * @param {boolean} [state] - The state to change to, defaults to the opposite of the current state.
+	 * @return {boolean} True if the state changed, false if it was vetoed.
+	 */
+	_toggle(state = !this.checked) {
+		if(state === this.checked && !this.indeterminate) return false;
+
+		const oldState = this.indeterminate ? 'mixed' : (this.checked ? 'on' : 'off');
+		const newState = state ? 'on' : 'off';
+
+		const beforeToggle = new CustomEvent('beforetoggle', {
+			bubbles: true,
+			composed: true,
+			cancelable: true,
+			detail: { oldState, newState },
+		});
+
+		if(!this.dispatchEvent(beforeToggle)) return false;
+
+		const wasChecked = this.checked;
+		const wasIndeterminate = this.indeterminate;
+
+		// Like a native checkbox, user interaction resolves the mixed state
+		this.indeterminate = false;
+		this.checked = state;
+
+		this.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+
+		const promises = [];
+		let dispatching = true;
+
+		const beforeChange = new CustomEvent('beforechange', {
+			bubbles: true,
+			composed: true,
+			detail: { oldState, newState },
+		});
+
+		/**
+		 * Holds the switch pending until the promise settles, committing the change if it resolves or rolling it back if it rejects.
+		 * Like `ExtendableEvent.waitUntil()`, it may only be called whilst the event is being dispatched.
+		 *
+		 * @param {Promise} promise
+		 */
+		beforeChange.waitUntil = promise => {
+			if(!dispatching)
+				throw new DOMException('waitUntil() must be called whilst the beforechange event is dispatched.', 'InvalidStateError');
+
+			promises.push(Promise.resolve(promise));
+		};
+
+		this.dispatchEvent(beforeChange);
+		dispatching = false;
+
+		if(!promises.length) {
+			this._startRevert();
+			this.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+			return true;
+		}
+
+		this._setPending(true);
+
+		Promise.all(promises).then(() => {
+			this._setPending(false);
+			this._startRevert();
+			this.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+			this._settled();
+		}, error => {
+			this._setPending(false);
+
+			this.indeterminate = wasIndeterminate;
+			this.checked = wasChecked;
+
+			// The change never took, so count down from the state rolled back to (if not the default)
+			this._startRevert();
+			this.dispatchEvent(new CustomEvent('error', { detail: { error } }));
+			this._settled();
+		});
+
+		return true;
+	}
+
+
+	/**
+	 * Releases a momentary switch let go of whilst its change was pending, once the change has been saved
+	 * or rolled back.
+	 *
+	 * @private
+	 */
+	_settled() {
+		if(!this._pressReleased) return;
+
+		this._pressReleased = false;
+		this._toggle(false);
+	}
+
+
+	/**
+	 * Gets the pending state.
+	 *
+	 * @return {boolean} True if the switch is waiting on a change to be saved, false otherwise.
+	 */
+	get pending() {
+		return this.hasAttribute('pending');
+	}
+
+
+	/**
+	 * Sets the pending state, showing a spinner in the handle and marking the switch `aria-busy` whilst
+	 * a change is saved.
+	 *
+	 * @private
+	 * @param {boolean} isPending
+	 */
+	_setPending(isPending) {
+		if(isPending) {
+			this.setAttribute('pending', '');
+			this.setAttribute('aria-busy', 'true');
+		} else {
+			this.removeAttribute('pending');
+			this.removeAttribute('aria-busy');
+		}
+	}
+
+
+	/**
+	 * Gets the width of the switch.
+	 *
+	 * @return {string|null} The width of the switch, null if sized by CSS or `size`.
+	 */
+	get width() { return this.getAttribute('width'); }
+
+	/**
+	 * Sets the width of the switch, either a number of px or any CSS length (e.g. '4em', '10rem', '50%').
+	 *
+	 * @param {string|number|null} value - The width of the switch, null to size it by CSS or `size`.
+	 */
+	set width(value) {
+		if(value === null) {
+			if(this.hasAttribute('width'))
+				this.removeAttribute('width');
+
+			this.style.removeProperty('width');
+			return;
+		}
+
+		this.setAttribute('width', value);
+		this.style.setProperty('width', toLength(value));
+	}
+
+
+	/**
+	 * Gets the height of the switch.
+	 *
+	 * @return {string|null} The height of the switch, null if sized by CSS or `size`.
+	 */
+	get height() { return this.getAttribute('height'); }
+
+	/**
+	 * Sets the height of the switch, either a number of px or any CSS length (e.g. '2em', '1.5rem').
+	 *
+	 * @param {string|number|null} value - The height of the switch, null to size it by CSS or `size`.
+	 */
+	set height(value) {
+		if(value === null) {
+			if(this.hasAttribute('height'))
+				this.removeAttribute('height');
+
+			this.style.removeProperty('height');
+			return;
+		}
+
+		this.setAttribute('height', value);
+		this.style.setProperty('height', toLength(value));
+	}
+
+
+	/**
+	 * Gets the size preset of the switch.
+	 *
+	 * @return {string|null} The size preset, null for the default medium size.
+	 */
+	get size() {
+		return this.getAttribute('size');
+	}
+
+	/**
+	 * Sets the size preset of the switch, overridden by `width`/`height` or CSS. Must be one of:
+	 * - sm (36 x 18px)
+	 * - md (48 x 24px, the default)
+	 * - lg (72 x 36px)
+	 *
+	 * @param {string} value - One of the possible size presets.
+	 */
+	set size(value) {
+		this.setAttribute('size', value);
+	}
+
+
+	/**
+	 * Gets the orientation of the switch.
+	 *
+	 * @return {string|null} The orientation, null for the default horizontal orientation.
+	 */
+	get orientation() {
+		return this.getAttribute('orientation');
+	}
+
+	/**
+	 * Sets the orientation of the switch. Must be one of:
+	 * - horizontal (the default), the handle travelling from the start of the line to its end
+	 * - vertical, the handle travelling bottom-to-top (e.g. for mixer-style control panels)
+	 *
+	 * @param {string|null} value - One of the possible orientations, null for horizontal.
+	 */
+	set orientation(value) {
+		if(value === null) {
+			if(this.hasAttribute('orientation'))
+				this.removeAttribute('orientation');
+		} else {
+			this.setAttribute('orientation', value);
+		}
+
+		this._layout();
+	}
+
+
+	/**
+	 * Lays out the handle from the switch's actual box, called whenever the switch is resized or reoriented.
+	 *
+	 * The handle spans {@link HANDLE_RATIO} of the length the handle travels along, inset {@link HANDLE_INSET}
+	 * from the edges of the track.
+	 *
+	 * @private
+	 */
+	_layout() {
+		const width = this.clientWidth;
+		const height = this.clientHeight;
+
+		// Hidden switches have no box to lay out in
+		if(!width || !height) return;
+
+		const vertical = this._isVertical();
+		const length = vertical ? height : width;
+		const breadth = (vertical ? width : height) - HANDLE_INSET * 2;
+		const handleLength = length * HANDLE_RATIO;
+
+		this.handle.style.setProperty('--handle-width', `${vertical ? breadth : handleLength}px`);
+		this.handle.style.setProperty('--handle-height', `${vertical ? handleLength : breadth}px`);
+		this.handle.style.setProperty('--handle-offset', `${length - handleLength - HANDLE_INSET}px`);
+	}
+
+	
+	/**
+     * Gets the color of the switch.
+     *
+     * @return {string} The color of the switch.
+     */
+    get color() {
+        return this.getAttribute('color');
+    }
+
+    /**
+     * Sets the color theme of the switch. Either any CSS color (hex, rgb(), hsl(), named or `var(--x)`)
+	 * or one of the named themes:
+	 * - success
+	 * - primary
+	 * - info
+	 * - secondary
+	 * - warning
+	 * - danger
+	 * - dark
+	 *
+	 * The darker border/gradient-end shade is derived from the color, named themes use their own shade.
+     *
+     * @param {string} value - A CSS color or one of the possible switch color themes.
+     */
+    set color(value) {
+		if( !isColor(value) ) {
+			return;
+		}
+
+		this.setAttribute('color', value);
+
+		this.colorStyle.textContent = colorCss(value);
+    }
+
+
+	/**
+	 * Gets the text displayed when the switch is 'on', from the `on-text` attribute or otherwise the
+	 * switch's locale (see {@link SwitchElement.registerLocale}).
+	 *
+	 * @see {@link get onText}
+	 * @return {string} 'on' text.
+	 */
+	get 'on-text'() {
+		return this.hasAttribute('on-text') ? this.getAttribute('on-text') : this._locale().on;
+	}
+
+	/**
+	 * A helper for the _get_ on-text() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get on-text}
+	 * @return {string} 'on' text.
+	 */
+	get onText() { return this['on-text']; }
+
+
+	/**
+	 * Sets the text to display when the switch is 'on', overriding the text of its locale.
+	 *
+	 * @see {@link set onText}
+	 * @param {string|null} value - The 'on' text, null to use the text of the switch's locale.
+	 */
+	set 'on-text'(value) {
+		if(value === null) {
+			if(this.hasAttribute('on-text'))
+				this.removeAttribute('on-text');
+		} else {
+			this.setAttribute('on-text', value);
+		}
+
+		this._updateText();
+	}
+
+	/**
+	 * A helper for the _set_ on-text() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set on-text}
+	 * @param {string} value - The value shown when the switch is 'on'.
+	 */
+	set onText(value) { this['on-text'] = value; }
+
+
+	/**
+	 * Gets the text displayed when the switch is 'off', from the `off-text` attribute or otherwise the
+	 * switch's locale (see {@link SwitchElement.registerLocale}).
+	 *
+	 * @see {@link get offText}
+	 * @return {string} 'off' text.
+	 */
+	get 'off-text'() {
+		return this.hasAttribute('off-text') ? this.getAttribute('off-text') : this._locale().off;
+	}
+
+	/**
+	 * A helper for the _get_ off-text() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get off-text}
+	 * @return {string} 'off' text.
+	 */
+	get offText() { return this['off-text']; }
+
+
+	/**
+	 * Sets the text to display when the switch is 'off', overriding the text of its locale.
+	 *
+	 * @see {@link set offText}
+	 * @param {string|null} value - The 'off' text, null to use the text of the switch's locale.
+	 */
+	set 'off-text'(value) {
+		if(value === null) {
+			if(this.hasAttribute('off-text'))
+				this.removeAttribute('off-text');
+		} else {
+			this.setAttribute('off-text', value);
+		}
+
+		this._updateText();
+	}
+
+	/**
+	 * A helper for the _set_ off-text() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set off-text}
+	 * @param {string} value - The value shown when the switch is 'off'.
+	 */
+	set offText(value) { this['off-text'] = value; }
+
+
+	/**
+	 * The 'on' and 'off' text of the switch's locale, from the nearest `lang` attribute.
+	 *
+	 * @private
+	 * @return {{on: string, off: string}}
+	 */
+	_locale() {
+		return resolveLocale(nearestLang(this));
+	}
+
+
+	/**
+	 * Updates the displayed 'on' and 'off' text, e.g. after the text or the switch's language changed.
+	 *
+	 * @private
+	 */
+	_updateText() {
+		this.onSlot.textContent = this.onText;
+		this.offSlot.textContent = this.offText;
+
+		this._updateAccessibleName();
+	}
+
+
+	/**
+	 * Gets the design variant of the switch.
+	 *
+	 * @return {string|null} The variant, null for the default square design.
+	 */
+	get variant() {
+		return this.getAttribute('variant');
+	}
+
+	/**
+	 * Sets the design variant of the switch. Must be one of:
+	 * - square (the default)
+	 * - rounded
+	 * - pill
+	 *
+	 * @param {string} value - One of the possible design variants.
+	 */
+	set variant(value) {
+		this.setAttribute('variant', value);
+	}
+
+
+	/**
+	 * Gets the keyboard shortcut toggling the switch from anywhere on the page.
+	 *
+	 * @return {string|null} The shortcut, e.g. 'Alt+Shift+D', null if there isn't one.
+	 */
+	get shortcut() {
+		return this.getAttribute('shortcut');
+	}
+
+	/**
+	 * Sets the keyboard shortcut toggling the switch from anywhere on the page, also announced through `aria-keyshortcuts`.
+	 *
+	 * The shortcut is the key preceded by any modifiers (Alt, Control, Shift, Meta) joined with '+', e.g. 'Alt+Shift+D'.
+	 *
+	 * @param {string|null} value - The shortcut, null to remove it.
+	 */
+	set shortcut(value) {
+		if(value === null) {
+			if(this.hasAttribute('shortcut'))
+				this.removeAttribute('shortcut');
+
+			this.removeAttribute('aria-keyshortcuts');
+			return;
+		}
+
+		this.setAttribute('shortcut', value);
+		this.setAttribute('aria-keyshortcuts', value);
+	}
+
+
+	/**
+	 * Gets the name of the switch.
+	 *
+	 * @return {string} The name of the switch.
+	 */
+	get name() {
+		return this.getAttribute('name');
+	}
+
+    /**
+     * Sets the name of the switch.
+     *
+     * @param {string} value - The name of the switch and the key used when the form is submitted.
+     */
+	set name(value) {
+		if(this.checkbox)
+			this.checkbox.setAttribute('name', value);
+
+		this.setAttribute('name', value);
+	}
+
+
+    /**
+     * Gets the value of the switch.
+     *
+     * @return {string} The value of the switch.
+     */
+    get value() {
+        return this.getAttribute('value');
+    }
+
+    /**
+     * Sets the value of the switch.
+     *
+     * @param {string} value - The value of the switch and what will be used when the form is submitted.
+     */
+    set value(value) {
+		this.setAttribute('value', value);
+		this._updateFormValue();
+    }
+
+
+	/**
+	 * Gets the value submitted when the switch is 'off'.
+	 *
+	 * @see {@link get offValue}
+	 * @return {string|null} The 'off' value, null if nothing is submitted when 'off'.
+	 */
+	get 'off-value'() {
+		return this.getAttribute('off-value');
+	}
+
+	/**
+	 * A helper for the _get_ off-value() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get off-value}
+	 * @return {string|null} The 'off' value.
+	 */
+	get offValue() { return this['off-value']; }
+
+
+	/**
+	 * Sets the value submitted when the switch is 'off'.
+	 *
+	 * Without an 'off' value nothing is submitted for an 'off' switch, just like a native checkbox.
+	 *
+	 * @see {@link set offValue}
+	 * @param {string|null} value - The 'off' value, null to submit nothing when 'off'.
+	 */
+	set 'off-value'(value) {
+		if(value === null) {
+			if(this.hasAttribute('off-value'))
+				this.removeAttribute('off-value');
+		} else {
+			this.setAttribute('off-value', value);
+		}
+
+		this._updateFormValue();
+	}
+
+	/**
+	 * A helper for the _set_ off-value() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set off-value}
+	 * @param {string|null} value - The value submitted when the switch is 'off'.
+	 */
+	set offValue(value) { this['off-value'] = value; }
+
+
+	/**
+	 * Gets the storage the switch's state is persisted to.
+	 *
+	 * @return {string|null} 'local' or 'session', null if the state isn't persisted.
+	 */
+	get persist() {
+		return this.getAttribute('persist');
+	}
+
+	/**
+	 * Sets the storage the switch's state is persisted to, restoring the state on connect and saving every change.
+	 * Must be one of:
+	 * - local, persisting across visits via `localStorage` (kept in sync with other tabs)
+	 * - session, persisting for the tab's session via `sessionStorage`
+	 *
+	 * Where storage is unavailable (e.g. blocked or full) the switch silently isn't persisted.
+	 *
+	 * @param {string|null} value - One of the possible storages, null to stop persisting.
+	 */
+	set persist(value) {
+		if(value === null) {
+			if(this.hasAttribute('persist'))
+				this.removeAttribute('persist');
+
+			return;
+		}
+
+		this.setAttribute('persist', value);
+
+		if(this._persisting)
+			this._restoreState();
+	}
+
+
+	/**
+	 * Gets the key the switch's state is persisted under.
+	 *
+	 * @see {@link get persistKey}
+	 * @return {string|null} The key, null if defaulting to the `id` or `name`.
+	 */
+	get 'persist-key'() {
+		return this.getAttribute('persist-key');
+	}
+
+	/**
+	 * A helper for the _get_ persist-key() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get persist-key}
+	 * @return {string|null} The key.
+	 */
+	get persistKey() { return this['persist-key']; }
+
+
+	/**
+	 * Sets the key the switch's state is persisted under, by default the switch's `id` or otherwise its `name`.
+	 *
+	 * @see {@link set persistKey}
+	 * @param {string|null} value - The key, null to default to the `id` or `name`.
+	 */
+	set 'persist-key'(value) {
+		if(value === null) {
+			if(this.hasAttribute('persist-key'))
+				this.removeAttribute('persist-key');
+		} else {
+			this.setAttribute('persist-key', value);
+		}
+
+		if(this._persisting)
+			this._restoreState();
+	}
+
+	/**
+	 * A helper for the _set_ persist-key() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set persist-key}
+	 * @param {string|null} value - The key the state is persisted under.
+	 */
+	set persistKey(value) { this['persist-key'] = value; }
+
+
+	/**
+	 * The storage and key the switch's state is persisted under.
+	 *
+	 * @private
+	 * @return {{storage: Storage, key: string}|null} Null if the state isn't persisted or storage is unavailable.
+	 */
+	_persistence() {
+		const key = this.persistKey || this.id || this.name;
+		const storage = this.persist && key ? getStorage(this.persist) : null;
+
+		return storage ? { storage, key: `${STORAGE_PREFIX}${key}` } : null;
+	}
+
+
+	/**
+	 * Restores the switch's state from storage, if it has been persisted before.
+	 *
+	 * @private
+	 */
+	_restoreState() {
+		const persistence = this._persistence();
+
+		if(!persistence) return;
+
+		const state = persistence.storage.getItem(persistence.key);
+
+		if(state === 'on' || state === 'off')
+			this.checked = state === 'on';
+	}
+
+
+	/**
+	 * Saves the switch's state to storage.
+	 *
+	 * @private
+	 */
+	_saveState() {
+		const persistence = this._persisting ? this._persistence() : null;
+
+		if(!persistence) return;
+
+		try {
+			persistence.storage.setItem(persistence.key, this.checked ? 'on' : 'off');
+		} catch (e) {
+			// Storage full, the state just isn't persisted
+		}
+	}
+
+
+	/**
+	 * Response to the _storage_ event, updating the switch when its persisted state is changed in another tab.
+	 *
+	 * @private
+	 * @listens StorageEvent~event:storage
+	 * @param {StorageEvent~storage} e - The storage event.
+	 */
+	_storageChange(e) {
+		const persistence = this._persistence();
+
+		if(!persistence || e.storageArea !== persistence.storage || e.key !== persistence.key) return;
+
+		if(e.newValue === 'on' || e.newValue === 'off')
+			this.checked = e.newValue === 'on';
+	}
+
+
+	/**
+	 * Gets the URL parameter the switch's state is bound to.
+	 *
+	 * @see {@link get urlParam}
+	 * @return {string|null} The parameter's name, null if the state isn't bound to the URL.
+	 */
+	get 'url-param'() {
+		return this.getAttribute('url-param');
+	}
+
+	/**
+	 * A helper for the _get_ url-param() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get url-param}
+	 * @return {string|null} The parameter's name.
+	 */
+	get urlParam() { return this['url-param']; }
+
+
+	/**
+	 * Sets the URL parameter the switch's state is bound to, e.g. "archived" for `?archived=on`. The state is
+	 * restored from the URL on connect and back/forward navigation, and written to it on every change.
+	 *
+	 * @see {@link set urlParam}
+	 * @param {string|null} value - The parameter's name, null to stop binding to the URL.
+	 */
+	set 'url-param'(value) {
+		if(value === null) {
+			if(this.hasAttribute('url-param'))
+				this.removeAttribute('url-param');
+
+			return;
+		}
+
+		this.setAttribute('url-param', value);
+
+		if(this._persisting)
+			this._restoreUrl();
+	}
+
+	/**
+	 * A helper for the _set_ url-param() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set url-param}
+	 * @param {string|null} value - The parameter's name.
+	 */
+	set urlParam(value) { this['url-param'] = value; }
+
+
+	/**
+	 * Gets whether the URL parameter is in the hash.
+	 *
+	 * @see {@link get urlHash}
+	 * @return {boolean} True if the parameter is in the hash (`#archived=on`), false if in the query string.
+	 */
+	get 'url-hash'() {
+		return this.hasAttribute('url-hash');
+	}
+
+	/**
+	 * A helper for the _get_ url-hash() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get url-hash}
+	 * @return {boolean} True if the parameter is in the hash.
+	 */
+	get urlHash() { return this['url-hash']; }
+
+
+	/**
+	 * Sets whether the URL parameter is in the hash rather than the query string.
+	 *
+	 * @see {@link set urlHash}
+	 * @param {boolean|int} value - A (boolean-castable) value which sets whether the parameter is in the hash.
+	 */
+	set 'url-hash'(value) {
+		if(Boolean(value)) {
+			if(!this.hasAttribute('url-hash'))
+				this.setAttribute('url-hash', '');
+		} else {
+			if(this.hasAttribute('url-hash'))
+				this.removeAttribute('url-hash');
+		}
+	}
+
+	/**
+	 * A helper for the _set_ url-hash() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set url-hash}
+	 * @param {boolean|int} value - Whether the parameter is in the hash.
+	 */
+	set urlHash(value) { this['url-hash'] = value; }
+
+
+	/**
+	 * Gets whether changes to the URL add history entries.
+	 *
+	 * @see {@link get urlPush}
+	 * @return {boolean} True if each change adds a history entry, false if it replaces the current one.
+	 */
+	get 'url-push'() {
+		return this.hasAttribute('url-push');
+	}
+
+	/**
+	 * A helper for the _get_ url-push() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get url-push}
+	 * @return {boolean} True if each change adds a history entry.
+	 */
+	get urlPush() { return this['url-push']; }
+
+
+	/**
+	 * Sets whether changes to the URL add history entries (`history.pushState`), so the back button undoes them,
+	 * rather than replacing the current entry (`history.replaceState`).
+	 *
+	 * @see {@link set urlPush}
+	 * @param {boolean|int} value - A (boolean-castable) value which sets whether changes add history entries.
+	 */
+	set 'url-push'(value) {
+		if(Boolean(value)) {
+			if(!this.hasAttribute('url-push'))
+				this.setAttribute('url-push', '');
+		} else {
+			if(this.hasAttribute('url-push'))
+				this.removeAttribute('url-push');
+		}
+	}
+
+	/**
+	 * A helper for the _set_ url-push() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set url-push}
+	 * @param {boolean|int} value - Whether changes add history entries.
+	 */
+	set urlPush(value) { this['url-push'] = value; }
+
+
+	/**
+	 * The current URL and the parameters of its query string or hash (as per `url-hash`).
+	 *
+	 * @private
+	 * @return {{url: URL, params: URLSearchParams}}
+	 */
+	_urlParams() {
+		const url = new URL(this.ownerDocument.defaultView.location.href);
+		const params = new URLSearchParams(this.urlHash ? url.hash.slice(1) : url.search);
+
+		return { url, params };
+	}
+
+
+	/**
+	 * Restores the switch's state from the URL, if the parameter is present.
+	 *
+	 * @private
+	 */
+	_restoreUrl() {
+		if(!this.urlParam) return;
+
+		const state = parseUrlState(this._urlParams().params.get(this.urlParam));
+
+		if(state !== null)
+			this.checked = state;
+	}
+
+
+	/**
+	 * Writes the switch's state to the URL, unless it already reflects it.
+	 *
+	 * A switch in its default state isn't added to a URL without the parameter, keeping URLs short.
+	 *
+	 * @private
+	 */
+	_saveUrl() {
+		if(!this._persisting || !this.urlParam) return;
+
+		const { url, params } = this._urlParams();
+		const state = parseUrlState(params.get(this.urlParam));
+
+		if(state === this.checked || (state === null && this.checked === this.defaultChecked)) return;
+
+		params.set(this.urlParam, this.checked ? 'on' : 'off');
+
+		if(this.urlHash) {
+			url.hash = params.toString();
+		} else {
+			url.search = params.toString();
+		}
+
+		const history = this.ownerDocument.defaultView.history;
+
+		try {
+			history[this.urlPush ? 'pushState' : 'replaceState'](history.state, '', url.href);
+		} catch (e) {
+			// The URL can't be changed (e.g. a sandboxed frame), the state just isn't bound
+		}
+	}
+
+
+	/**
+	 * Response to the _popstate_ event, restoring the switch's state from the URL on back/forward navigation.
+	 * A URL without the parameter restores the switch's default state.
+	 *
+	 * @private
+	 * @listens PopStateEvent~event:popstate
+	 */
+	_popState() {
+		if(!this.urlParam) return;
+
+		const state = parseUrlState(this._urlParams().params.get(this.urlParam));
+
+		this.checked = state === null ? this.defaultChecked : state;
+	}
+
+
+	/**
+	 * Gets the mode of the switch.
+	 *
+	 * @return {string|null} The mode, null for the default where each click toggles the switch.
+	 */
+	get mode() {
+		return this.getAttribute('mode');
+	}
+
+	/**
+	 * Sets the mode of the switch. Must be one of:
+	 * - momentary, the switch being 'on' only whilst pressed (like a push-to-talk button) with the pointer,
+	 *   SPACE, ENTER or its shortcut
+	 *
+	 * @param {string|null} value - The mode, null for the default.
+	 */
+	set mode(value) {
+		if(value === null) {
+			if(this.hasAttribute('mode'))
+				this.removeAttribute('mode');
+		} else {
+			this.setAttribute('mode', value);
+		}
+
+		if(value !== 'momentary')
+			this._endPress();
+	}
+
+
+	/**
+	 * Gets how long the switch stays changed before reverting.
+	 *
+	 * @see {@link get autoRevert}
+	 * @return {number|null} The duration in ms, null if the switch doesn't revert.
+	 */
+	get 'auto-revert'() {
+		const duration = Number.parseInt(this.getAttribute('auto-revert'), 10);
+
+		return Number.isNaN(duration) || duration < 0 ? null : duration;
+	}
+
+	/**
+	 * A helper for the _get_ auto-revert() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get auto-revert}
+	 * @return {number|null} The duration in ms.
+	 */
+	get autoRevert() { return this['auto-revert']; }
+
+
+	/**
+	 * Sets how long the switch stays changed by the user before reverting to its default state (the `checked`
+	 * attribute), e.g. "on for 30 seconds". The time left is shown on the track, and reverting fires the same
+	 * events as the user changing the switch.
+	 *
+	 * @see {@link set autoRevert}
+	 * @param {number|null} value - The duration in ms, null to stop reverting.
+	 */
+	set 'auto-revert'(value) {
+		if(value === null) {
+			if(this.hasAttribute('auto-revert'))
+				this.removeAttribute('auto-revert');
+
+			this._endRevert();
+		} else {
+			this.setAttribute('auto-revert', value);
+		}
+	}
+
+	/**
+	 * A helper for the _set_ auto-revert() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set auto-revert}
+	 * @param {number|null} value - The duration in ms.
+	 */
+	set autoRevert(value) { this['auto-revert'] = value; }
+
+
+	/**
+	 * Gets which changes the user must confirm.
+	 *
+	 * @return {string|null} 'on' or 'off', empty for both, null if changes aren't confirmed.
+	 */
+	get confirm() {
+		return this.getAttribute('confirm');
+	}
+
+	/**
+	 * Sets which changes the user must confirm in a popover before the switch changes, e.g. 'off' for a switch
+	 * such as "Production alerts". Must be one of:
+	 * - on, confirming turning the switch 'on'
+	 * - off, confirming turning the switch 'off'
+	 * - an empty string, confirming both
+	 *
+	 * @param {string|null} value - The change to confirm, null to confirm none.
+	 */
+	set confirm(value) {
+		if(value === null) {
+			if(this.hasAttribute('confirm'))
+				this.removeAttribute('confirm');
+
+			this._closeConfirm(false);
+		} else {
+			this.setAttribute('confirm', value);
+		}
+
+		this._updateAria();
+	}
+
+
+	/**
+	 * Gets the message of the confirmation popover.
+	 *
+	 * @see {@link get confirmText}
+	 * @return {string} The message.
+	 */
+	get 'confirm-text'() {
+		return this.hasAttribute('confirm-text') ? this.getAttribute('confirm-text') : CONFIRM_TEXT;
+	}
+
+	/**
+	 * A helper for the _get_ confirm-text() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get confirm-text}
+	 * @return {string} The message.
+	 */
+	get confirmText() { return this['confirm-text']; }
+
+
+	/**
+	 * Sets the message of the confirmation popover. Content slotted into the 'confirm' slot is shown in its place.
+	 *
+	 * @see {@link set confirmText}
+	 * @param {string|null} value - The message, null for the default.
+	 */
+	set 'confirm-text'(value) {
+		if(value === null) {
+			if(this.hasAttribute('confirm-text'))
+				this.removeAttribute('confirm-text');
+		} else {
+			this.setAttribute('confirm-text', value);
+		}
+
+		this.confirmSlot.textContent = this.confirmText;
+	}
+
+	/**
+	 * A helper for the _set_ confirm-text() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set confirm-text}
+	 * @param {string|null} value - The message.
+	 */
+	set confirmText(value) { this['confirm-text'] = value; }
+
+
+	/**
+	 * Gets how long the switch must be pressed and held to change.
+	 *
+	 * @return {number|null} The duration in ms, null if a click changes the switch.
+	 */
+	get hold() {
+		const duration = Number.parseInt(this.getAttribute('hold'), 10);
+
+		return Number.isNaN(duration) || duration < 0 ? null : duration;
+	}
+
+	/**
+	 * Sets how long the switch must be pressed and held (with the pointer or key) to change, the track filling up
+	 * meanwhile. Clicking or dragging the switch no longer changes it.
+	 *
+	 * @param {number|null} value - The duration in ms, null for a click to change the switch.
+	 */
+	set hold(value) {
+		if(value === null) {
+			if(this.hasAttribute('hold'))
+				this.removeAttribute('hold');
+
+			this._endHold();
+		} else {
+			this.setAttribute('hold', value);
+		}
+	}
+
+
+	/**
+	 * Gets the IDs of the elements the switch controls.
+	 *
+	 * @return {string|null} Space-separated IDs, null if the switch controls nothing.
+	 */
+	get controls() {
+		return this.getAttribute('controls');
+	}
+
+	/**
+	 * Sets the elements the switch controls by their IDs, reflected as `aria-controls`. Whilst the switch is 'off'
+	 * they're disabled, hidden or made inert (as per `controls-mode`), including elements added to the page later.
+	 *
+	 * @param {string|null} value - Space-separated IDs, null to control nothing.
+	 */
+	set controls(value) {
+		if(value === null) {
+			if(this.hasAttribute('controls'))
+				this.removeAttribute('controls');
+
+			if(this.hasAttribute('aria-controls'))
+				this.removeAttribute('aria-controls');
+		} else {
+			this.setAttribute('controls', value);
+			this.setAttribute('aria-controls', value);
+		}
+
+		this._observeControls();
+	}
+
+
+	/**
+	 * Gets how the switch controls its elements.
+	 *
+	 * @see {@link get controlsMode}
+	 * @return {string|null} The mode, null for the default 'disable'.
+	 */
+	get 'controls-mode'() {
+		return this.getAttribute('controls-mode');
+	}
+
+	/**
+	 * A helper for the _get_ controls-mode() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link get controls-mode}
+	 * @return {string|null} The mode.
+	 */
+	get controlsMode() { return this['controls-mode']; }
+
+
+	/**
+	 * Sets how the switch controls its elements whilst 'off'. Must be one of:
+	 * - disable (the default), disabling them or, for other elements such as a `<div>`, the form controls (and switches) within them
+	 * - hide, setting them `hidden`
+	 * - inert, making them `inert` (neither focusable nor clickable, and hidden from assistive technology)
+	 *
+	 * @see {@link set controlsMode}
+	 * @param {string|null} value - One of the possible modes, null for 'disable'.
+	 */
+	set 'controls-mode'(value) {
+		if(value === null) {
+			if(this.hasAttribute('controls-mode'))
+				this.removeAttribute('controls-mode');
+		} else {
+			this.setAttribute('controls-mode', value);
+		}
+
+		this._updateControls();
+	}
+
+	/**
+	 * A helper for the _set_ controls-mode() function.
+	 * 
+	 * This is due to the inconsistancy of attribute names having hyphens yet 
+	 * function names not. This is a logical function re-name using the Javascript 
+	 * convention converting kebab-case to camelCase.
+	 *
+	 * @see {@link set controls-mode}
+	 * @param {string|null} value - One of the possible modes.
+	 */
+	set controlsMode(value) { this['controls-mode'] = value; }
+
+
+	/**
+	 * Observes the page for the controlled elements being added, whilst the switch controls any.
+	 *
+	 * @private
+	 */
+	_observeControls() {
+		this._controlsObserver.disconnect();
+
+		if(this.controls && this.isConnected) {
+			this._controlsObserver.observe(this.getRootNode(), {
+				childList: true,
+				subtree: true,
+			});
+		}
+
+		this._updateControls();
+	}
+
+
+	/**
+	 * Gets the elements the switch controls which are in its document or shadow root.
+	 *
+	 * @private
+	 * @return {Element[]}
+	 */
+	_controlTargets() {
+		const root = this.getRootNode();
+
+		return this.controls.split(/\s+/)
+			.filter(Boolean)
+			.map(id => root.getElementById(id))
+			.filter(Boolean);
+	}
+
+
+	/**
+	 * Response to the controls observer, re-applying the controlled state only if the mutations involve the
+	 * controlled elements: one being added or removed, or elements being added to or removed from within one.
+	 *
+	 * @private
+	 * @param {MutationRecord[]} records
+	 */
+	_controlsMutated(records) {
+		if(!this.controls) return;
+
+		const targets = this._controlTargets();
+		const controlled = Array.from(this._controlled.keys());
+
+		const affected = records.some(record => targets.some(target => target.contains(record.target))
+			|| Array.from(record.addedNodes).some(node => targets.some(target => node.contains(target)))
+			|| Array.from(record.removedNodes).some(node => controlled.some(element => node.contains(element))));
+
+		if(affected)
+			this._updateControls();
+	}
+
+
+	/**
+	 * Disables, hides or makes inert the controlled elements whilst the switch is 'off' and on the page,
+	 * restoring them once 'on' or removed. Only what the switch itself changed is restored, and only once no
+	 * other switch controlling the same element is 'off'.
+	 *
+	 * @private
+	 */
+	_updateControls() {
+		const attr = Object.keys(CONTROLS_MODES).includes(this.controlsMode) ? CONTROLS_MODES[this.controlsMode] : 'disabled';
+
+		const elements = new Set(!this.isConnected || this.checked || !this.controls ? [] : this._controlTargets()
+			// Never the switch itself, which couldn't then be turned back 'on'
+			.filter(element => !element.contains(this))
+			.flatMap(element => attr === 'disabled' && !isDisableable(element)
+				? Array.from(element.querySelectorAll('*')).filter(isDisableable)
+				: [element]));
+
+		this._controlled.forEach((controlledAttr, element) => {
+			if(controlledAttr !== attr || !elements.has(element)) {
+				releaseControl(element, controlledAttr, this);
+				this._controlled.delete(element);
+			}
+		});
+
+		elements.forEach(element => {
+			if(!this._controlled.has(element) && claimControl(element, attr, this))
+				this._controlled.set(element, attr);
+		});
+	}
+
+
+    /**
+     * Gets the on/off state.
+     *
+     * @return {boolean} True if the switch is 'on', false otherwise.
+     */
+    get checked() {
+        return this._checked;
+    }
+
+    /**
+     * Sets the on/off state of the switch. As with a native checkbox the `checked` attribute is left as it
+	 * is, and no longer changes the state (until the form is reset).
+     *
+     * @param {boolean|int} value - A (boolean-castable) value which sets the switch's state.
+     */
+    set checked(value) {
+		this._dirty = true;
+		this._setChecked(value);
+    }
+
+
+	/**
+	 * Gets the default on/off state, the one the switch has initially and is reset to.
+	 *
+	 * @return {boolean} True if the switch is 'on' by default, false otherwise.
+	 */
+	get defaultChecked() {
+		return this.hasAttribute('checked');
+	}
+
+	/**
+	 * Sets the default on/off state, reflected as the `checked` attribute. It also changes the current state
+	 * until the switch is changed.
+	 *
+	 * @param {boolean|int} value - A (boolean-castable) value which sets the switch's default state.
+	 */
+	set defaultChecked(value) {
+		if(Boolean(value)) {
+			if(!this.hasAttribute('checked'))
+				this.setAttribute('checked', '');
+		} else {
+			if(this.hasAttribute('checked'))
+				this.removeAttribute('checked');
+		}
+	}
+
+
+	/**
+	 * Sets the live on/off state, without marking the switch as changed.
+	 *
+	 * @private
+	 * @param {boolean|int} value - A (boolean-castable) value which sets the switch's state.
+	 */
+	_setChecked(value) {
+		this._checked = Boolean(value);
+		this.shadowCheck.checked = this._checked;
+
+		if(this._checked === this.defaultChecked)
+			this._endRevert();
+
+		if(this._checked) {
+			this.classList.add('checked');
+		} else {
+			this.classList.remove('checked');
+		}
+
+		this._updateFormValue();
+		this._updateValidity();
+		this._updateAria();
+		this._saveState();
+		this._saveUrl();
+		this._updateControls();
+	}
+
+
+    /**
+     * Gets the indeterminate (mixed) state.
+     *
+     * @return {boolean} True if the switch is neither 'on' nor 'off', false otherwise.
+     */
+    get indeterminate() {
+        return this.hasAttribute('indeterminate');
+    }
+
+    /**
+     * Sets the indeterminate (mixed) state, e.g. for a switch controlling others of which only some are 'on'.
+	 *
+	 * The handle is shown centered and the value submitted is still that of `checked`. The next toggle by
+	 * the user clears the indeterminate state, as it does for a native checkbox.
+     *
+     * @param {boolean|int} value - A (boolean-castable) value which sets whether the switch is indeterminate.
+     */
+	set indeterminate(value) {
+		const isIndeterminate = Boolean(value);
+
+		if(isIndeterminate) {
+			if(!this.hasAttribute('indeterminate'))
+				this.setAttribute('indeterminate', '');
+		} else {
+			if(this.hasAttribute('indeterminate'))
+				this.removeAttribute('indeterminate');
+		}
+
+		this.shadowCheck.indeterminate = isIndeterminate;
+
+		this._updateAria();
+	}
+
+
+	/**
+	 * Updates the WAI-ARIA states of the switch - `aria-checked` ('true', 'false' or 'mixed'), `aria-disabled`,
+	 * `aria-readonly` and `aria-required` - along with its accessible name.
+	 *
+	 * @private
+	 * @see {@link https://www.w3.org/WAI/ARIA/apg/patterns/switch/|WAI-ARIA Switch Pattern}
+	 */
+	_updateAria() {
+		this.setAttribute('aria-checked', this.indeterminate ? 'mixed' : String(this.checked));
+		this.setAttribute('aria-disabled', String(this.disabled || this._formDisabled));
+		this.setAttribute('aria-readonly', String(this.readonly));
+		this.setAttribute('aria-required', String(this.required));
+
+		if(this.confirm !== null) {
+			this.setAttribute('aria-haspopup', 'dialog');
+		} else if(this.hasAttribute('aria-haspopup')) {
+			this.removeAttribute('aria-haspopup');
+		}
+
+		this._updateAccessibleName();
+	}
+
+
+	/**
+	 * The text of the content shown for a state: that slotted into the 'on'/'off' slot (using the `aria-label`
+	 * or `alt` of elements such as icons) or otherwise the `on-text`/`off-text`.
+	 *
+	 * @private
+	 * @param {boolean} state - True for the 'on' content, false for the 'off' content.
+	 * @return {string}
+	 */
+	_stateText(state) {
+		const slot = state ? this.onSlot : this.offSlot;
+		const text = slot.assignedNodes({ flatten: true })
+			.map(node => {
+				if(node.nodeType !== Node.ELEMENT_NODE) return node.textContent;
+
+				return node.getAttribute('aria-label') || node.getAttribute('alt') || node.textContent;
+			})
+			.join('')
+			.trim();
+
+		return text || (state ? this.onText : this.offText);
+	}
+
+
+	/**
+	 * Updates the accessible name of the switch when the author hasn't given one through `aria-label` or `aria-labelledby`.
+	 *
+	 * The name is taken from the switch's labels or, without any, both its on and off content (e.g. 'ON/OFF'). Like
+	 * a label it mustn't change with the state, which is announced from `aria-checked`.
+	 *
+	 * Where supported the name is set through ElementInternals, leaving the author's attributes alone (which
+	 * override it), otherwise as the `aria-label` attribute.
+	 *
+	 * @private
+	 */
+	_updateAccessibleName() {
+		const useInternals = Boolean(this.internals) && 'ariaLabel' in this.internals;
+		const ariaLabel = this.getAttribute('aria-label');
+
+		if(!useInternals && (this.hasAttribute('aria-labelledby') || (ariaLabel !== null && ariaLabel !== this._ariaLabel)))
+			return;
+
+		const labels = Array.from(this.labels);
+		let name = null;
+
+		if(!labels.length) {
+			name = Array.from(new Set([this._stateText(true), this._stateText(false)])).join('/');
+		} else if(!this.internals) {
+			// Labels only name form-associated elements, so name the switch from them
+			name = labels.map(label => label.textContent.trim()).join(' ');
+		}
+
+		// Like aria-label the internals' label takes precedence over <label>s, so it's cleared whilst there are any
+		if(useInternals) {
+			this.internals.ariaLabel = name || null;
+			return;
+		}
+
+		if(name) {
+			this.setAttribute('aria-label', name);
+		} else if(ariaLabel !== null) {
+			this.removeAttribute('aria-label');
+		}
+
+		this._ariaLabel = name || null;
+	}
+
+
+    /**
+     * Gets the disabled state.
+     *
+     * @return {boolean} True if disabled, false otherwise.
+     */
+    get disabled() {
+       return this.hasAttribute('disabled');
+    }
+
+    /**
+     * Sets the disabled state.
+	 *
+	 * If the switch is set as disabled, the value is _not_ passed when the form is submitted.
+     *
+     * @param {boolean|int} value - A (boolean-castable) value which sets whether the switch is disabled.
+     */
+    set disabled(value) {
+		const isDisabled = Boolean(value);
+
+		if(isDisabled) {
+			if(!this.hasAttribute('disabled'))
+				this.setAttribute('disabled', '');
+
+			if(!this.shadowCheck.hasAttribute('disabled'))
+				this.shadowCheck.setAttribute('disabled', '');
+
+			if(this.checkbox && !this.checkbox.hasAttribute('disabled'))
+				this.checkbox.setAttribute('disabled', '');
+		} else {
+			if(this.hasAttribute('disabled'))
+				this.removeAttribute('disabled');
+
+			if(this.shadowCheck.hasAttribute('disabled'))
+				this.shadowCheck.removeAttribute('disabled');
+
+			if(this.checkbox && this.checkbox.hasAttribute('disabled'))
+				this.checkbox.removeAttribute('disabled');
+		}
+
+		this._updateAria();
+    }
+
+
+    /**
+     * Gets the readonly state.
+     *
+     * @return {boolean} True if readonly, false otherwise.
+     */
+    get readonly() {
+        return this.hasAttribute('readonly');
+    }
+
+    /**
+     * Sets the readonly state.
+	 *
+	 * Setting as readonly, the element will become unresponsive to user input however the value _will_ 
+	 * still be passed when the form is submitted.
+     *
+     * @param {boolean|int} value - A (boolean-castable) value which sets whether the switch is readonly.
+     */
+	set readonly(value) {
+		const isReadonly = Boolean(value);
+
+		if(isReadonly) {
+			if(!this.hasAttribute('readonly'))
+				this.setAttribute('readonly', '');
+
+			if(!this.shadowCheck.hasAttribute('readonly')) {
+				this.shadowCheck.setAttribute('readonly', '');
+				this.shadowCheck.readonly = true;
+			}
+
+			if(this.checkbox && !this.checkbox.hasAttribute('readonly')) {
+				this.checkbox.setAttribute('readonly', '');
+				this.checkbox.readonly = true;
+			}
+		} else {
+			if(this.hasAttribute('readonly'))
+				this.removeAttribute('readonly');
+
+			if(this.shadowCheck.hasAttribute('readonly')) {
+				this.shadowCheck.removeAttribute('readonly');
+				this.shadowCheck.readonly = false;
+			}
+
+			if(this.checkbox && this.checkbox.hasAttribute('readonly')) {
+				this.checkbox.removeAttribute('readonly');
+				this.checkbox.readonly = false;
+			}
+		}
+
+		this._updateAria();
+	}
+
+
+    /**
+     * Gets the required state.
+     *
+     * @return {boolean} True if the switch must be 'on' for its form to be submitted, false otherwise.
+     */
+    get required() {
+        return this.hasAttribute('required');
+    }
+
+    /**
+     * Sets the required state.
+	 *
+	 * A required switch which is 'off' is invalid, preventing its form from being submitted.
+     *
+     * @param {boolean|int} value - A (boolean-castable) value which sets whether the switch is required.
+     */
+	set required(value) {
+		const isRequired = Boolean(value);
+
+		if(isRequired) {
+			if(!this.hasAttribute('required'))
+				this.setAttribute('required', '');
+		} else {
+			if(this.hasAttribute('required'))
+				this.removeAttribute('required');
+		}
+
+		this._updateValidity();
+		this._updateAria();
+	}
+
+
+	/**
+	 * Gets the validity states of the switch.
+	 *
+	 * @return {ValidityState}
+	 */
+	get validity() {
+		return this.internals ? this.internals.validity : this.checkbox.validity;
+	}
+
+
+	/**
+	 * Gets the message describing why the switch is invalid.
+	 *
+	 * @return {string} The validation message, empty if the switch is valid.
+	 */
+	get validationMessage() {
+		return this.internals ? this.internals.validationMessage : this.checkbox.validationMessage;
+	}
+
+
+	/**
+	 * Gets whether the switch is a candidate for constraint validation.
+	 *
+	 * @return {boolean} False if the switch is barred from validation (e.g. disabled), true otherwise.
+	 */
+	get willValidate() {
+		return this.internals ? this.internals.willValidate : this.checkbox.willValidate;
+	}
+
+
+	/**
+	 * Checks whether the switch is valid, firing an _invalid_ event if not.
+	 *
+	 * @return {boolean} True if valid, false otherwise.
+	 */
+	checkValidity() {
+		return this.internals ? this.internals.checkValidity() : this.checkbox.checkValidity();
+	}
+
+
+	/**
+	 * Checks whether the switch is valid, reporting the problem to the user if not.
+	 *
+	 * @return {boolean} True if valid, false otherwise.
+	 */
+	reportValidity() {
+		return this.internals ? this.internals.reportValidity() : this.checkbox.reportValidity();
+	}
+
+
+	/**
+	 * Sets a custom validation message, making the switch invalid until it's cleared.
+	 *
+	 * @param {string} message - The validation message, an empty string to clear it.
+	 */
+	setCustomValidity(message) {
+		this._customValidity = String(message);
+		this._updateValidity();
+	}
+
+
+	/**
+	 * Updates the validity of the switch from its required state and custom validation message.
+	 *
+	 * @private
+	 */
+	_updateValidity() {
+		const valueMissing = this.required && !this.checked;
+		const customError = this._customValidity !== '';
+
+		let message = '';
+
+		if(customError) {
+			message = this._customValidity;
+		} else if(valueMissing) {
+			message = valueMissingMessage();
+		}
+
+		if(this.internals) {
+			this.internals.setValidity({ valueMissing, customError }, message, this.label);
+			return;
+		}
+
+		// The checkbox reports the value as missing itself, leaving only custom errors to the switch. An adopted
+		// checkbox is kept in sync by _syncInput() instead, not being written to whilst the switch is updated from it
+		if(!this._adopted)
+			this.checkbox.required = this.required;
+
+		this.checkbox.setCustomValidity(this._customValidity);
+	}
+
+
+	/**
+     * Returns an array of attributes names observed by the HTMLElement attributeChangedCallback() callback.
+     *
+	 * @private
+	 * @see attributeChangedCallback()
+     * @return {array} A list of attribute namese.
+     */
+    static get observedAttributes() {
+        return [
+			'disabled',
+			'readonly',
+			'required',
+			'checked',
+			'indeterminate',
+			'value',
+			'off-value',
+			'width',
+			'height',
+			'name',
+			'color',
+			'on-text',
+			'off-text',
+			'shortcut',
+			'orientation',
+			'persist',
+			'persist-key',
+			'url-param',
+			'controls',
+			'controls-mode',
+			'confirm',
+			'confirm-text',
+        ];
+    }
+
+
+	/**
+     * This function is _not_ to be called directly!
+	 * 
+	 * @private
+	 * @callback attributeChangedCallback
+	 */
+	attributeChangedCallback(attr, oldValue, newValue) {
+
+		switch (attr) {
+			case 'checked':
+				// The attribute is the default state, changing the current one unless already changed
+				if(!this._dirty)
+					this._setChecked(newValue !== null);
+
+				break;
+
+			case 'disabled':
+			case 'readonly':
+			case 'required':
+			case 'indeterminate':
+				const hasAttr = newValue !== null;
+
+				this[attr] = hasAttr;
+
+				if (hasAttr) {
+					this.classList.add(attr);
+				} else {
+					this.classList.remove(attr);
+				}
+
+				break;
+
+			default:
+				// update component property
+				if (oldValue !== newValue) {
+					this[attr] = newValue;
+				}
+
+		}
+
+		if(this._adopted)
+			this._syncInput();
+
+	}
+
+}
+
+
+/**
+ * The named color themes, taken from [Bootstrap 4.0](https://getbootstrap.com/), as their [color, shade] pair.
+ * @private
+ * @constant
+ * @type {Object.<string, string[]>}
+ */
+const PRESET_COLORS = {
+	success: ['#4dbd74', '#3a9d5d'],
+	primary: ['#20a8d8', '#1985ac'],
+	secondary: ['#c8ced3', '#acb5bc'],
+	danger: ['#f86c6b', '#f63c3a'],
+	warning: ['#ffc107', '#d39e00'],
+	info: ['#63c2de', '#39b2d5'],
+	dark: ['#2f353a', '#181b1e'],
+};
+
+
+/**
+ * The gap in px between the handle and the edge of the track.
+ * @private
+ * @constant
+ * @type {number}
+ */
+const HANDLE_INSET = 2;
+
+
+/**
+ * The width of the handle as a fraction of the width of the switch.
+ * @private
+ * @constant
+ * @type {number}
+ */
+const HANDLE_RATIO = 0.45;
+
+
+/**
+ * The distance in px the pointer must move before a tap becomes a drag of the handle.
+ * @private
+ * @constant
+ * @type {number}
+ */
+const DRAG_THRESHOLD = 4;
+
+
+/**
+ * The speed in px/ms at which a released drag is a flick, switching towards the direction it was moving.
+ * @private
+ * @constant
+ * @type {number}
+ */
+const FLICK_VELOCITY = 0.5;
+
+
+/**
+ * The default message of the confirmation popover.
+ * @private
+ * @constant
+ * @type {string}
+ */
+const CONFIRM_TEXT = 'Are you sure?';
+
+
+/**
+ * The validation message of a required switch which is 'off', for a browser which gives none of its own.
+ * @private
+ * @constant
+ * @type {string}
+ */
+const VALUE_MISSING_MESSAGE = 'Please turn this switch on if you want to proceed.';
+
+
+/**
+ * The browser's own (localized) validation message, cached once known.
+ * @private
+ * @type {string|null}
+ */
+let browserValueMissingMessage = null;
+
+
+/**
+ * The validation message of a required switch which is 'off': the browser's own message for an unchecked
+ * required checkbox, in the language of the browser as for native form controls.
+ *
+ * @private
+ * @return {string}
+ */
+function valueMissingMessage() {
+	if(browserValueMissingMessage === null) {
+		const checkbox = document.createElement('input');
+
+		checkbox.setAttribute('type', 'checkbox');
+		checkbox.required = true;
+
+		browserValueMissingMessage = checkbox.validationMessage;
+	}
+
+	return browserValueMissingMessage || VALUE_MISSING_MESSAGE;
+}
+
+
+/**
+ * The attribute set on the controlled elements whilst a switch is 'off', for each `controls-mode`.
+ * @private
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const CONTROLS_MODES = {
+	disable: 'disabled',
+	hide: 'hidden',
+	inert: 'inert',
+};
+
+
+/**
+ * Whether the element can be disabled by a switch controlling it: a form control or another switch.
+ *
+ * @private
+ * @param {Element} element
+ * @return {boolean}
+ */
+function isDisableable(element) {
+	return element instanceof SwitchElement || element.matches('button, fieldset, input, select, textarea');
+}
+
+
+/**
+ * The switches controlling each element, by the attribute they've set on it.
+ * @private
+ * @type {WeakMap.<Element, Map.<string, Set.<SwitchElement>>>}
+ */
+const controllers = new WeakMap();
+
+
+/**
+ * Sets the attribute on a controlled element on behalf of a switch. Several switches may control the same
+ * element, an attribute already set by the author (rather than a switch) is left to them.
+ *
+ * @private
+ * @param {Element} element - The controlled element.
+ * @param {string} attr - The attribute to set, one of {@link CONTROLS_MODES}.
+ * @param {SwitchElement} owner - The switch controlling the element.
+ * @return {boolean} True if the switch now holds the attribute, false if the author set it.
+ */
+function claimControl(element, attr, owner) {
+	if(!controllers.has(element))
+		controllers.set(element, new Map());
+
+	const attrs = controllers.get(element);
+
+	if(!attrs.has(attr)) {
+		if(element.hasAttribute(attr)) return false;
+
+		element.setAttribute(attr, '');
+		attrs.set(attr, new Set());
+	}
+
+	attrs.get(attr).add(owner);
+
+	return true;
+}
+
+
+/**
+ * Lets go of the attribute a switch set on a controlled element, removing it once no switch holds it.
+ *
+ * @private
+ * @param {Element} element - The controlled element.
+ * @param {string} attr - The attribute set, one of {@link CONTROLS_MODES}.
+ * @param {SwitchElement} owner - The switch which controlled the element.
+ */
+function releaseControl(element, attr, owner) {
+	const attrs = controllers.get(element);
+	const owners = attrs && attrs.get(attr);
+
+	if(!owners) return;
+
+	owners.delete(owner);
+
+	if(!owners.size) {
+		attrs.delete(attr);
+		element.removeAttribute(attr);
+	}
+}
+
+
+/**
+ * Whether the browser understands `color-mix()`, used to derive the shade of a color.
+ * @private
+ * @constant
+ * @type {boolean}
+ */
+const SUPPORTS_COLOR_MIX = typeof CSS !== 'undefined' && CSS.supports('color', 'color-mix(in srgb, red 80%, black)');
+
+
+/**
+ * Prefixes the keys switches persist their state under, keeping them apart from the page's own.
+ * @private
+ * @constant
+ * @type {string}
+ */
+const STORAGE_PREFIX = 'cloud-switch:';
+
+
+/**
+ * Gets a Web Storage area, checking it can be used.
+ *
+ * @private
+ * @param {string} type - 'local' or 'session'.
+ * @return {Storage|null} The storage, null if the type is unknown or the storage is unavailable (e.g. blocked by privacy settings).
+ */
+function getStorage(type) {
+	if(type !== 'local' && type !== 'session') return null;
+
+	try {
+		const storage = type === 'local' ? window.localStorage : window.sessionStorage;
+
+		storage.getItem(STORAGE_PREFIX);
+
+		return storage;
+	} catch (e) {
+		return null;
+	}
+}
+
+
+/**
+ * Parses the state of a switch from a URL parameter's value.
+ *
+ * @private
+ * @param {string|null} value - The parameter's value, e.g. "on", "true" or "1".
+ * @return {boolean|null} The state, null if the parameter is missing or not a state.
+ */
+function parseUrlState(value) {
+	if(['on', 'true', '1'].includes(value)) return true;
+	if(['off', 'false', '0'].includes(value)) return false;
+
+	return null;
+}
+
+
+/**
+ * The 'on' and 'off' text of each registered language, keyed by lower-case language tag.
+ * @private
+ * @type {Map.<string, {on: string, off: string}>}
+ */
+const LOCALES = new Map([
+	['en', { on: 'ON', off: 'OFF' }],
+	['de', { on: 'AN', off: 'AUS' }],
+	['es', { on: 'SÍ', off: 'NO' }],
+	['fr', { on: 'OUI', off: 'NON' }],
+	['nl', { on: 'AAN', off: 'UIT' }],
+]);
+
+
+/**
+ * The switches on the page, updated when a locale is registered or a `lang` attribute changes.
+ * @private
+ * @type {Set.<SwitchElement>}
+ */
+const connectedSwitches = new Set();
+
+
+/**
+ * The documents whose `lang` attributes are observed.
+ * @private
+ * @type {WeakSet.<Document>}
+ */
+const observedDocuments = new WeakSet();
+
+
+/**
+ * Observes changes to `lang` attributes throughout the document, updating the text of its switches.
+ *
+ * @private
+ * @param {Document} doc
+ */
+function observeLang(doc) {
+	if(observedDocuments.has(doc)) return;
+
+	observedDocuments.add(doc);
+
+	new MutationObserver(() => {
+		connectedSwitches.forEach(element => {
+			if(element.ownerDocument === doc)
+				element._updateText();
+		});
+	}).observe(doc, {
+		subtree: true,
+		attributes: true,
+		attributeFilter: ['lang'],
+	});
+}
+
+
+/**
+ * The documents whose `<label>`s are observed.
+ * @private
+ * @type {WeakSet.<Document>}
+ */
+const labelledDocuments = new WeakSet();
+
+
+/**
+ * Observes `<label>`s being added, removed or changed throughout the document, updating the accessible names of
+ * its switches (which a stale name would otherwise override).
+ *
+ * @private
+ * @param {Document} doc
+ */
+function observeLabels(doc) {
+	if(labelledDocuments.has(doc)) return;
+
+	labelledDocuments.add(doc);
+
+	new MutationObserver(records => {
+		if(!records.some(isLabelMutation)) return;
+
+		connectedSwitches.forEach(element => {
+			if(element.ownerDocument === doc)
+				element._updateAccessibleName();
+		});
+	}).observe(doc, {
+		subtree: true,
+		childList: true,
+		characterData: true,
+		attributes: true,
+		attributeFilter: ['for', 'id'],
+	});
+}
+
+
+/**
+ * Whether the mutation can change which labels a switch has or their text.
+ *
+ * @private
+ * @param {MutationRecord} record
+ * @return {boolean}
+ */
+function isLabelMutation(record) {
+	const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+
+	if(record.attributeName === 'id')
+		return target instanceof SwitchElement;
+
+	if(target && target.closest('label'))
+		return true;
+
+	return Array.from(record.addedNodes).concat(Array.from(record.removedNodes))
+		.some(node => node.nodeType === Node.ELEMENT_NODE && (node.matches('label') || Boolean(node.querySelector('label'))));
+}
+
+
+/**
+ * The language of an element, from the nearest `lang` attribute of it or its ancestors (across shadow roots).
+ *
+ * @private
+ * @param {Element} element
+ * @return {string} The language tag, empty if unknown.
+ */
+function nearestLang(element) {
+	for(let node = element; node; node = node.parentNode || node.host) {
+		if(node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('lang'))
+			return node.getAttribute('lang');
+	}
+
+	return '';
+}
+
+
+/**
+ * The registered 'on' and 'off' text of a language, falling back from a regional variant (e.g. 'pt-BR')
+ * to its language ('pt') and then to English.
+ *
+ * @private
+ * @param {string} lang - A BCP 47 language tag.
+ * @return {{on: string, off: string}}
+ */
+function resolveLocale(lang) {
+	const tag = lang.toLowerCase();
+
+	return LOCALES.get(tag) || LOCALES.get(tag.split('-')[0]) || LOCALES.get('en');
+}
+
+
+/**
+ * Converts a `width`/`height` attribute value to a CSS length, bare numbers being px.
+ *
+ * @private
+ * @param {string|number} value - A number of px or any CSS length.
+ * @return {string} The CSS length.
+ */
+function toLength(value) {
+	const length = String(value).trim();
+
+	return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(length) ? `${length}px` : length;
+}
+
+
+/**
+ * Whether the keyboard event is the given shortcut, its modifiers matching exactly.
+ *
+ * Keys are compared case-insensitively, and by their physical key too as modifiers can change the character typed.
+ * Shortcuts without modifiers are ignored whilst typing into an editable element.
+ *
+ * @private
+ * @param {KeyboardEvent} e - The keydown event.
+ * @param {string} shortcut - The key preceded by any modifiers joined with '+', e.g. 'Alt+Shift+D'.
+ * @return {boolean}
+ */
+function matchesShortcut(e, shortcut) {
+	const keys = shortcut.split('+')
+		.map(key => key.trim().toLowerCase())
+		.map(key => key === 'ctrl' ? 'control' : key);
+	const key = keys.pop();
+
+	const modifiers = {
+		alt: e.altKey,
+		control: e.ctrlKey,
+		shift: e.shiftKey,
+		meta: e.metaKey,
+	};
+
+	for(const modifier in modifiers) {
+		if(modifiers[modifier] !== keys.includes(modifier)) return false;
+	}
+
+	if(!keys.length) {
+		const target = e.composedPath()[0];
+
+		if(target instanceof Element && target.closest('input, textarea, select, [contenteditable]'))
+			return false;
+	}
+
+	const code = (e.code || '').toLowerCase();
+
+	return (e.key || '').toLowerCase() === key || code === `key${key}` || code === `digit${key}`;
+}
+
+
+/**
+ * The key of a keyboard event, telling the keydown and keyup of the same key apart from other keys. The physical
+ * key is used where known, as modifiers released first can change the character (e.g. 'D' then 'd').
+ *
+ * @private
+ * @param {KeyboardEvent} e
+ * @return {string}
+ */
+function keyOf(e) {
+	return e.code || (e.key || '').toLowerCase();
+}
+
+
+/**
+ * Whether the value is a named color theme or any CSS color.
+ *
+ * @private
+ * @param {string} value
+ * @return {boolean}
+ */
+function isColor(value) {
+	return value !== null && (Object.keys(PRESET_COLORS).includes(value) || CSS.supports('color', value));
+}
+
+
+/**
+ * The darker shade of a CSS color used for the switch's border and gradient end.
+ *
+ * Hex, rgb() and hsl() colors are darkened here, as are named colors where `color-mix()` isn't supported
+ * (e.g. older browsers). Other colors are left to `color-mix()`.
+ *
+ * @private
+ * @param {string} value - Any CSS color.
+ * @return {string} A CSS color 20% darker, or the color itself if it can't be darkened (e.g. `var(--x)`
+ * where `color-mix()` isn't supported).
+ */
+function shadeOf(value) {
+	const color = parseColor(value) || (SUPPORTS_COLOR_MIX ? null : parseColor(resolveColor(value)));
+
+	if(!color) return SUPPORTS_COLOR_MIX ? `color-mix(in srgb, ${value} 80%, black)` : value;
+
+	// As color-mix(in srgb, color 80%, black), which mixes premultiplied by alpha
+	const [red, green, blue, alpha] = color;
+	const mixedAlpha = alpha * 0.8 + 0.2;
+	const [r, g, b] = [red, green, blue].map(channel => Math.round(channel * alpha * 0.8 / mixedAlpha));
+
+	return mixedAlpha === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${Math.round(mixedAlpha * 1000) / 1000})`;
+}
+
+
+/**
+ * Parses a hex, rgb() or hsl() color.
+ *
+ * @private
+ * @param {string|null} value
+ * @return {number[]|null} The red, green and blue channels (0-255) and alpha (0-1), null if not such a color.
+ */
+function parseColor(value) {
+	const color = String(value).trim().toLowerCase();
+	const hex = /^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/.exec(color);
+
+	if(hex) {
+		const digits = hex[1].length > 4 ? hex[1].match(/../g) : hex[1].split('').map(digit => digit + digit);
+		const [r, g, b, a = 255] = digits.map(pair => Number.parseInt(pair, 16));
+
+		return [r, g, b, a / 255];
+	}
+
+	const fn = /^(rgb|hsl)a?\(([^()]*)\)$/.exec(color);
+
+	if(!fn) return null;
+
+	const args = fn[2].trim().split(/\s*[,/]\s*|\s+/);
+
+	if(args.length < 3 || args.length > 4 || !args.every(arg => COLOR_ARGUMENT.test(arg))) return null;
+
+	const percent = arg => Number.parseFloat(arg) / 100;
+	const clamp = (number, max) => Math.min(Math.max(number, 0), max);
+	const alpha = args.length === 4 ? clamp(args[3].endsWith('%') ? percent(args[3]) : Number.parseFloat(args[3]), 1) : 1;
+
+	if(fn[1] === 'rgb')
+		return [...args.slice(0, 3).map(arg => clamp(arg.endsWith('%') ? percent(arg) * 255 : Number.parseFloat(arg), 255)), alpha];
+
+	const unit = /[a-z]*$/.exec(args[0])[0];
+	const hue = ((Number.parseFloat(args[0]) * (HUE_UNITS[unit] || 1)) % 360 + 360) % 360;
+	const saturation = clamp(percent(args[1]), 1);
+	const lightness = clamp(percent(args[2]), 1);
+
+	const chroma = saturation * Math.min(lightness, 1 - lightness);
+	const channel = n => {
+		const k = (n + hue / 30) % 12;
+
+		return (lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+	};
+
+	return [channel(0), channel(8), channel(4), alpha];
+}
+
+
+/**
+ * Matches an argument of an rgb() or hsl() color: a number, percentage or angle.
+ * @private
+ * @constant
+ * @type {RegExp}
+ */
+const COLOR_ARGUMENT = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(%|deg|grad|rad|turn)?$/;
+
+
+/**
+ * The degrees in each unit of an hsl() hue, bare numbers being degrees.
+ * @private
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const HUE_UNITS = {
+	deg: 1,
+	grad: 0.9,
+	rad: 180 / Math.PI,
+	turn: 360,
+};
+
+
+/**
+ * Resolves a named color (e.g. 'rebeccapurple') to hex or rgba() through a canvas, which normalizes the colors it's given.
+ *
+ * @private
+ * @param {string} value
+ * @return {string|null} The resolved color, null if not a named color or there's no canvas (e.g. server-side rendering).
+ */
+function resolveColor(value) {
+	if(typeof document === 'undefined' || !/^[a-z]+$/i.test(value) || value.toLowerCase() === 'currentcolor') return null;
+
+	const context = document.createElement('canvas').getContext('2d');
+
+	if(!context) return null;
+
+	// An invalid color leaves the fill style unchanged, so it's only resolved if set the same from two fill styles
+	context.fillStyle = '#000';
+	context.fillStyle = value;
+
+	const resolved = context.fillStyle;
+
+	context.fillStyle = '#fff';
+	context.fillStyle = value;
+
+	return resolved === context.fillStyle ? resolved : null;
+}
+
+
+/**
+ * Whether the value is a named color theme or a color known to be valid and safe to render without a browser
+ * to check it (see {@link isColor}): a hex, rgb() or hsl() color, a named color or `var(--x)`.
+ *
+ * @private
+ * @param {string} value
+ * @return {boolean}
+ */
+function isStaticColor(value) {
+	return Object.keys(PRESET_COLORS).includes(value) || parseColor(value) !== null || /^([a-z]+|var\(--[\w-]+\))$/i.test(value);
+}
+
+
+/**
+ * The styles setting a switch's color and its shade, for the `<style color>` of its shadow root.
+ *
+ * @private
+ * @param {string} value - Any CSS color or one of the named themes.
+ * @return {string}
+ */
+function colorCss(value) {
+	const preset = Object.keys(PRESET_COLORS).includes(value) ? PRESET_COLORS[value] : null;
+
+	return `:host { --switch-color: ${preset ? preset[0] : value}; --switch-shade: ${preset ? preset[1] : shadeOf(value)} }`;
+}
+
+
+/**
+ * Whether the browser supports form-associated custom elements through ElementInternals.
+ * @private
+ * @constant
+ * @type {boolean}
+ */
+const SUPPORTS_INTERNALS = typeof HTMLElement !== 'undefined'
+	&& 'attachInternals' in HTMLElement.prototype
+	&& typeof ElementInternals !== 'undefined'
+	&& 'setFormValue' in ElementInternals.prototype;
+
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute value.
+ *
+ * @private
+ * @param {*} value
+ * @return {string}
+ */
+function escapeHtml(value) {
+	return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+
+/**
+ * The HTML of the switch's shadow DOM, shared by the live template and server-side rendering.
+ *
+ * @private
+ * @param {object} [state] - The state to pre-render, the live template being empty, 'off' and the 'info' color.
+ * @param {boolean} [state.checked=false]
+ * @param {string} [state.onText='']
+ * @param {string} [state.offText='']
+ * @param {string} [state.color=info]
+ * @return {string}
+ */
+function templateHtml({ checked = false, onText = '', offText = '', color = 'info' } = {}) {
+	return /* css */`
+	<style>
+		:host([hidden]) { display: none }
+
+		/*
+		 * Theming custom properties, set them on the switch (or an ancestor) to restyle it:
+		 * --cloud-switch-track-on-color     Track when 'on', defaults to the 'color' attribute
+		 * --cloud-switch-track-on-shade     Track gradient end and border when 'on', defaults to the shade of the 'color' attribute
+		 * --cloud-switch-track-off-color    Track when 'off'
+		 * --cloud-switch-border-color       Track and handle border when 'off'
+		 * --cloud-switch-handle-on-color    Handle when 'on'
+		 * --cloud-switch-handle-off-color   Handle when 'off'
+		 * --cloud-switch-on-text-color      'on' text
+		 * --cloud-switch-off-text-color     'off' text
+		 * --cloud-switch-radius             Track corner radius
+		 * --cloud-switch-handle-radius      Handle corner radius
+		 * --cloud-switch-font-family        Text font
+		 * --cloud-switch-font-size          Text size
+		 * --cloud-switch-text-transform     Text case, e.g. 'uppercase'
+		 * --cloud-switch-transition-duration  Speed of the handle and colors changing
+		 * --cloud-switch-focus-ring         Box shadow around the track when focused from the keyboard
+		 */
+		:host {
+			--_track-on: var(--cloud-switch-track-on-color, var(--switch-color));
+			--_track-on-shade: var(--cloud-switch-track-on-shade, var(--switch-shade));
+			--_track-off: var(--cloud-switch-track-off-color, #fff);
+			--_border: var(--cloud-switch-border-color, #e4e6eb);
+			--_handle-on: var(--cloud-switch-handle-on-color, var(--_handle-off));
+			--_handle-off: var(--cloud-switch-handle-off-color, #fff);
+			--_radius: var(--cloud-switch-radius, 2px);
+			--_handle-radius: var(--cloud-switch-handle-radius, 1px);
+			--_duration: var(--cloud-switch-transition-duration, .15s);
+
+			--_font-size: 10px;
+
+			position: relative;
+			display: inline-block;
+			width: 48px;
+			height: 24px;
+			background-color: transparent;
+			font-family: var(--cloud-switch-font-family, "Quattrocento Sans", "Helvetica Neue", Helvetica, Arial, sans-serif);
+			outline: none;
+			cursor: pointer;
+			-ms-touch-action: pan-y;
+			touch-action: pan-y
+		}
+
+		:host([size="sm"]) {
+			--_font-size: 8px;
+
+			width: 36px;
+			height: 18px;
+		}
+
+		:host([size="lg"]) {
+			--_font-size: 14px;
+
+			width: 72px;
+			height: 36px;
+		}
+
+		:host([variant="rounded"]) {
+			--_radius: var(--cloud-switch-radius, 6px);
+			--_handle-radius: var(--cloud-switch-handle-radius, 4px);
+		}
+
+		:host([variant="pill"]) {
+			--_radius: var(--cloud-switch-radius, 999px);
+			--_handle-radius: var(--cloud-switch-handle-radius, 999px);
+		}
+
+
+		:host([disabled]), :host(:disabled) {
+			opacity: 0.5;
+			filter: alpha(opacity=50);
+			border: 1px solid #bababa;
+		}
+
+		:host([disabled]), :host([disabled]) *,
+		:host(:disabled), :host(:disabled) *,
+		:host([readonly]), :host([readonly]) *
+		{
+			cursor: default !important;
+			-webkit-user-select: none;
+		    -moz-user-select: none;
+			-ms-user-select: none;
+			user-select: none;
+		}
+
+
+		[type="checkbox"] {
+			display: inline-block;
+			position: absolute;
+			opacity: 0;
+			width: 0;
+			height: 0;
+		}
+
+		[type="checkbox"]:checked ~ [label] {
+			background-color: var(--_track-on);
+			background-image: -webkit-linear-gradient(top, var(--_track-on), var(--_track-on-shade));
+			background-image: -o-linear-gradient(top, var(--_track-on), var(--_track-on-shade));
+			background-image: linear-gradient(to bottom, var(--_track-on), var(--_track-on-shade));
+			border-color: var(--_track-on-shade);
+		}
+
+		[type="checkbox"]:checked ~ [handle] {
+			inset-inline-start: var(--handle-offset, calc(55% - 2px));
+			background: var(--_handle-on);
+			border-color: var(--_track-on-shade);
+		}
+
+
+		[handle] {
+			position: absolute;
+			box-sizing: border-box;
+			top: 2px;
+			inset-inline-start: 2px;
+			width: var(--handle-width, 45%);
+			height: var(--handle-height, calc(100% - 4px));
+			display: -webkit-box;
+			display: -ms-flexbox;
+			display: flex;
+			-webkit-box-align: center;
+			-ms-flex-align: center;
+			align-items: center;
+			-webkit-box-pack: center;
+			-ms-flex-pack: center;
+			justify-content: center;
+			overflow: hidden;
+			color: var(--_track-on-shade);
+			font-size: var(--cloud-switch-font-size, var(--_font-size));
+			background: var(--_handle-off);
+			border: 1px solid var(--_border);
+			border-radius: var(--_handle-radius);
+			-webkit-transition: inset-inline-start var(--_duration) ease-out, bottom var(--_duration) ease-out;
+			-o-transition: inset-inline-start var(--_duration) ease-out, bottom var(--_duration) ease-out;
+			transition: inset-inline-start var(--_duration) ease-out, bottom var(--_duration) ease-out;
+		}
+
+
+		[label] {
+			position: relative;
+			display: block;
+			box-sizing: border-box;
+			height: 100%;
+			font-size: var(--cloud-switch-font-size, var(--_font-size));
+			background-color: var(--_track-off);
+			border: 1px solid var(--_border);
+			border-radius: var(--_radius);
+			text-transform: var(--cloud-switch-text-transform, none);
+			-webkit-transition: background var(--_duration) ease-out, border-color var(--_duration) ease-out, box-shadow var(--_duration) ease-out;
+			-o-transition: background var(--_duration) ease-out, border-color var(--_duration) ease-out, box-shadow var(--_duration) ease-out;
+			transition: background var(--_duration) ease-out, border-color var(--_duration) ease-out, box-shadow var(--_duration) ease-out;
+		}
+
+		:host(:focus-visible) [label] {
+			box-shadow: var(--cloud-switch-focus-ring, 0 0 0 .2rem rgba(32, 168, 216, .25));
+		}
+
+
+		[on-label], [off-label] {
+			position: absolute;
+			top: 0;
+			bottom: 0;
+			width: 50%;
+			display: -webkit-box;
+			display: -ms-flexbox;
+			display: flex;
+			-webkit-box-align: center;
+			-ms-flex-align: center;
+			align-items: center;
+			-webkit-box-pack: center;
+			-ms-flex-pack: center;
+			justify-content: center;
+			overflow: hidden;
+			line-height: 1;
+			text-align: center;
+			-webkit-transition: opacity var(--_duration) ease-out;
+			-o-transition: opacity var(--_duration) ease-out;
+			transition: opacity var(--_duration) ease-out;
+		}
+
+
+		[off-label] {
+			inset-inline-end: 1px;
+			color: var(--cloud-switch-off-text-color, #e4e6eb);
+		}
+
+
+		[type="checkbox"]:checked ~ [label] [off-label] {
+			opacity: 0;
+		}
+
+
+		[on-label] {
+			inset-inline-start: 1px;
+			color: var(--cloud-switch-on-text-color, #fff);
+			opacity: 0;
+		}
+
+		[type="checkbox"]:checked ~ [label] [on-label] {
+			opacity: 1;
+		}
+
+
+		::slotted(*) {
+			max-width: 100%;
+			max-height: 100%;
+		}
+
+		::slotted(svg) {
+			height: 1em;
+			fill: currentColor;
+		}
+
+
+		:host([pending]), :host([pending]) * {
+			cursor: progress !important;
+		}
+
+		:host([pending]) [handle]::before {
+			position: absolute;
+			top: 25%;
+			left: 50%;
+			height: 50%;
+			aspect-ratio: 1 / 1;
+			box-sizing: border-box;
+			border: 2px solid var(--_border);
+			border-top-color: var(--_track-on-shade);
+			border-radius: 50%;
+			content: "";
+			-webkit-animation: switch-spin .6s linear infinite;
+			animation: switch-spin .6s linear infinite;
+		}
+
+		@-webkit-keyframes switch-spin {
+			from { -webkit-transform: translateX(-50%) rotate(0deg); }
+			to { -webkit-transform: translateX(-50%) rotate(360deg); }
+		}
+
+		@keyframes switch-spin {
+			from { transform: translateX(-50%) rotate(0deg); }
+			to { transform: translateX(-50%) rotate(360deg); }
+		}
+
+
+		[hold] {
+			position: absolute;
+			top: 0;
+			bottom: 0;
+			inset-inline-start: 0;
+			width: 0;
+			border-radius: inherit;
+			background: var(--cloud-switch-hold-color, var(--_track-on-shade));
+			opacity: .35;
+			pointer-events: none;
+		}
+
+		:host([holding]) [hold] {
+			width: 100%;
+			-webkit-transition: width var(--hold-duration) linear;
+			-o-transition: width var(--hold-duration) linear;
+			transition: width var(--hold-duration) linear;
+		}
+
+		:host([orientation="vertical"]) [hold] {
+			top: auto;
+			width: 100%;
+			height: 0;
+		}
+
+		:host([orientation="vertical"][holding]) [hold] {
+			height: 100%;
+			-webkit-transition: height var(--hold-duration) linear;
+			-o-transition: height var(--hold-duration) linear;
+			transition: height var(--hold-duration) linear;
+		}
+
+
+		[countdown] {
+			position: absolute;
+			bottom: 0;
+			inset-inline-start: 0;
+			width: 0;
+			height: 2px;
+			background: var(--cloud-switch-countdown-color, var(--_handle-on));
+			opacity: .8;
+			pointer-events: none;
+		}
+
+		:host([reverting]) [countdown] {
+			-webkit-animation: switch-countdown var(--revert-duration) linear forwards;
+			animation: switch-countdown var(--revert-duration) linear forwards;
+		}
+
+		@-webkit-keyframes switch-countdown {
+			from { width: 100%; }
+			to { width: 0; }
+		}
+
+		@keyframes switch-countdown {
+			from { width: 100%; }
+			to { width: 0; }
+		}
+
+		:host([orientation="vertical"]) [countdown] {
+			width: 2px;
+			height: 0;
+		}
+
+		:host([orientation="vertical"][reverting]) [countdown] {
+			-webkit-animation-name: switch-countdown-vertical;
+			animation-name: switch-countdown-vertical;
+		}
+
+		@-webkit-keyframes switch-countdown-vertical {
+			from { height: 100%; }
+			to { height: 0; }
+		}
+
+		@keyframes switch-countdown-vertical {
+			from { height: 100%; }
+			to { height: 0; }
+		}
+
+
+		[confirm] {
+			position: absolute;
+			top: calc(100% + 6px);
+			inset-inline-start: 0;
+			z-index: 1;
+			display: -webkit-box;
+			display: -ms-flexbox;
+			display: flex;
+			-ms-flex-wrap: wrap;
+			flex-wrap: wrap;
+			gap: 6px;
+			width: -webkit-max-content;
+			width: max-content;
+			max-width: 16rem;
+			padding: 8px;
+			font-size: 12px;
+			line-height: 1.3;
+			color: #23282c;
+			background: #fff;
+			border: 1px solid var(--_border);
+			border-radius: 4px;
+			box-shadow: 0 2px 8px rgba(0, 0, 0, .15);
+			cursor: default;
+		}
+
+		[confirm][hidden] {
+			display: none;
+		}
+
+		[confirm-message] {
+			-ms-flex-preferred-size: 100%;
+			flex-basis: 100%;
+		}
+
+		[confirm] button {
+			padding: 2px 8px;
+			font: inherit;
+			color: inherit;
+			background: #f0f3f5;
+			border: 1px solid var(--_border);
+			border-radius: var(--_handle-radius);
+			cursor: pointer;
+		}
+
+		[confirm] [confirm-accept] {
+			color: #fff;
+			background: var(--_track-on);
+			border-color: var(--_track-on-shade);
+		}
+
+
+		:host([indeterminate]) [label] {
+			background: #f0f3f5;
+			border-color: var(--_border);
+		}
+
+		:host([indeterminate]) [on-label],
+		:host([indeterminate]) [off-label] {
+			opacity: 0;
+		}
+
+		:host([indeterminate]) [handle] {
+			inset-inline-start: 0;
+			inset-inline-end: 0;
+			margin-inline: auto;
+			background: var(--_handle-off);
+			border-color: var(--_border);
+		}
+
+		:host([indeterminate]) [handle]::after {
+			position: absolute;
+			top: 50%;
+			left: 0;
+			right: 0;
+			margin-top: -.5em;
+			font-size: var(--cloud-switch-font-size, var(--_font-size));
+			line-height: 1;
+			text-align: center;
+			color: #acb5bc;
+			content: "\\2013";
+		}
+
+
+		:host([orientation="vertical"]) {
+			width: 24px;
+			height: 48px;
+			-ms-touch-action: pan-x;
+			touch-action: pan-x
+		}
+
+		:host([orientation="vertical"][size="sm"]) {
+			width: 18px;
+			height: 36px;
+		}
+
+		:host([orientation="vertical"][size="lg"]) {
+			width: 36px;
+			height: 72px;
+		}
+
+		:host([orientation="vertical"]) [handle] {
+			top: auto;
+			bottom: 2px;
+			width: var(--handle-width, calc(100% - 4px));
+			height: var(--handle-height, 45%);
+		}
+
+		:host([orientation="vertical"]) [type="checkbox"]:checked ~ [handle] {
+			inset-inline-start: 2px;
+			bottom: var(--handle-offset, calc(55% - 2px));
+		}
+
+		:host([orientation="vertical"][indeterminate]) [type="checkbox"] ~ [handle] {
+			inset-inline-start: 2px;
+			top: 0;
+			bottom: 0;
+			margin: auto 0;
+		}
+
+		:host([orientation="vertical"]) [on-label],
+		:host([orientation="vertical"]) [off-label] {
+			inset-inline-start: 0;
+			width: 100%;
+			height: 50%;
+		}
+
+		:host([orientation="vertical"]) [on-label] {
+			bottom: auto;
+		}
+
+		:host([orientation="vertical"]) [off-label] {
+			top: auto;
+		}
+	</style>
+	<style color>${colorCss(color)}</style>
+
+	<input type="checkbox" tabindex="-1"${checked ? ' checked' : ''}>
+	<span label part="track">
+		<span hold part="hold"></span>
+		<span countdown part="countdown"></span>
+		<span on-label part="on-label"><slot name="on">${escapeHtml(onText)}</slot></span>
+		<span off-label part="off-label"><slot name="off">${escapeHtml(offText)}</slot></span>
+	</span>
+	<span handle part="handle"><slot name="handle"></slot></span>
+	<div confirm part="confirm" role="alertdialog" aria-labelledby="confirm-message" hidden>
+		<span confirm-message id="confirm-message"><slot name="confirm">${escapeHtml(CONFIRM_TEXT)}</slot></span>
+		<button type="button" confirm-accept part="confirm-accept"><slot name="confirm-accept">OK</slot></button>
+		<button type="button" confirm-cancel part="confirm-cancel"><slot name="confirm-cancel">Cancel</slot></button>
+	</div>
+`;
+}
+
+
+/**
+ * The switch's shadow DOM, cloned into each switch. Only created where there's a DOM.
+ * @private
+ */
+const template = typeof document === 'undefined' ? null : document.createElement('template');
+
+if(template)
+	template.innerHTML = templateHtml();
+
+
+/**
+ * Renders a switch to HTML without a DOM, e.g. on the server in Node. Its shadow DOM is included as a declarative
+ * shadow root (`<template shadowrootmode="open">`) so the switch is styled before the script loads, which then
+ * hydrates it rather than attaching another.
+ *
+ * @example
+ * renderSwitchToString({ name: 'darkMode', checked: true, color: 'success' });
+ *
+ * @param {object} [attrs] - The switch's attributes. `true` renders a boolean attribute, `false`, null and undefined none.
+ * @param {string} [tagName=cloud-switch] - The tag name the switch is defined as, see {@link defineSwitch}.
+ * @return {string} The switch's HTML.
+ */
+export function renderSwitchToString(attrs = {}, tagName = 'cloud-switch') {
+	const has = name => attrs[name] !== undefined && attrs[name] !== null && attrs[name] !== false;
+
+	// The attributes the switch sets itself once upgraded, so it's focusable and announced before then
+	const host = Object.assign({
+		role: 'switch',
+		tabindex: 0,
+		'aria-checked': has('indeterminate') ? 'mixed' : String(has('checked')),
+		'aria-disabled': String(has('disabled')),
+		'aria-readonly': String(has('readonly')),
+		'aria-required': String(has('required')),
+		'aria-haspopup': has('confirm') && 'dialog',
+	}, attrs);
+
+	const html = Object.keys(host)
+		.filter(name => name !== 'style' && host[name] !== undefined && host[name] !== null && host[name] !== false)
+		.map(name => host[name] === true ? ` ${name}` : ` ${name}="${escapeHtml(host[name])}"`)
+		.join('');
+
+	// The inline styles the switch sets itself once upgraded
+	const style = [
+		has('width') && `width: ${toLength(attrs.width)}`,
+		has('height') && `height: ${toLength(attrs.height)}`,
+		has('style') && attrs.style,
+	].filter(Boolean).join('; ');
+
+	const locale = resolveLocale(has('lang') ? String(attrs.lang) : '');
+	const shadow = templateHtml({
+		checked: has('checked'),
+		onText: has('on-text') ? attrs['on-text'] : locale.on,
+		offText: has('off-text') ? attrs['off-text'] : locale.off,
+		// Unlike the live switch the color can't be checked by the browser, so only those known to be safe are rendered
+		color: has('color') && isStaticColor(String(attrs.color)) ? String(attrs.color) : 'info',
+	});
+
+	return `<${tagName}${html}${style ? ` style="${escapeHtml(style)}"` : ''}><template shadowrootmode="open">${shadow}</template></${tagName}>`;
+}
+
+
+/**
+ * The registries {@link SwitchElement} itself has been defined in.
+ * @private
+ * @type {WeakSet.<CustomElementRegistry>}
+ */
+const definedRegistries = new WeakSet();
+
+
+/**
+ * Defines the switch as a custom element. Safe to call any number of times, e.g. when a page loads the
+ * script more than once, a tag name already defined isn't defined again.
+ *
+ * @example
+ * defineSwitch();
+ * defineSwitch('acme-switch');
+ * defineSwitch('cloud-switch', shadowRoot.customElements); // A scoped registry
+ *
+ * @param {string} [tagName=cloud-switch] - The tag name to define the switch as.
+ * @param {CustomElementRegistry} [registry=customElements] - The registry to define it in, e.g. a scoped registry.
+ * @return {CustomElementConstructor} The element defined under the tag name, which may be another version's
+ * if defined already. Without a registry (e.g. server-side rendering) {@link SwitchElement} itself.
+ */
+export function defineSwitch(tagName = 'cloud-switch', registry = globalThis.customElements) {
+	if(!registry) return SwitchElement;
+
+	const defined = registry.get(tagName);
+
+	if(defined) return defined;
+
+	// A constructor can only be defined once per registry, so further tag names define a subclass
+	const element = definedRegistries.has(registry) ? class extends SwitchElement {} : SwitchElement;
+
+	registry.define(tagName, element);
+	definedRegistries.add(registry);
+
+	return element;
+}
+
+
+export default SwitchElement;
+
+/**
+ * This event is fired when a pointing device button (usually a mouse's primary button) is pressed and released on a single element.
+ * @event MouseEvent#click
+ * @type {object}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/Events/click}
+ */
+
+/**
+ * This event is fired when a key is pressed.
+ * @event KeyboardEvent#keydown
+ * @type {object}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/Events/keydown}
+ */
+
+/**
+ * This event is fired before the user changes the state of the switch. Cancelling it prevents the change.
+ * @event SwitchElement#beforetoggle
+ * @type {CustomEvent}
+ * @property {object} detail
+ * @property {string} detail.oldState - The current state, 'on' or 'off'.
+ * @property {string} detail.newState - The state being changed to, 'on' or 'off'.
+ */
+
+/**
+ * This event is fired when the user has changed the state of the switch.
+ * @event SwitchElement#input
+ * @type {Event}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement/input_event}
+ */
+
+/**
+ * This event is fired after the _input_ event, allowing the change to be saved before it's committed.
+ * @event SwitchElement#beforechange
+ * @type {CustomEvent}
+ * @property {function(Promise)} waitUntil - Holds the switch pending until the promise settles, rolling the change back if it rejects.
+ * @property {object} detail
+ * @property {string} detail.oldState - The previous state, 'on', 'off' or 'mixed'.
+ * @property {string} detail.newState - The state changed to, 'on' or 'off'.
+ */
+
+/**
+ * This event is fired when the user has changed the state of the switch, after the _input_ event (or once the
+ * change is saved when pending).
+ * @event SwitchElement#change
+ * @type {Event}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/HTMLElement/change_event}
+ */
+
+/**
+ * This event is fired when a pending change failed to save and has been rolled back. It doesn't bubble.
+ * @event SwitchElement#error
+ * @type {CustomEvent}
+ * @property {object} detail
+ * @property {*} detail.error - The reason the promise passed to `waitUntil()` rejected with.
+ */
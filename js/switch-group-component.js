@@ -0,0 +1,10 @@
+/**
+ * Defines the switch group element as `<cloud-switch-group>` when imported, also exporting everything of
+ * {@link module:SwitchGroupElement}. The switches are defined by `switch-component.js`.
+ * @module SwitchGroupComponent
+ */
+import { defineSwitchGroup } from './switch-group-element.js';
+
+export * from './switch-group-element.js';
+
+export default defineSwitchGroup();
@@ -0,0 +1,477 @@
+/**
+ * The switch group element, without defining it as a custom element (see {@link defineSwitchGroup} or import
+ * `switch-group-component.js` which defines `<cloud-switch-group>`).
+ * @module SwitchGroupElement
+ */
+import { SwitchElement } from './switch-element.js';
+
+/*
+ * Switch Group Web Component
+ * @author [Chris Tudhope](http://github.com/cartoonclouds)
+ * @version 1.0.0
+ * @class
+ * @classdesc A container of related switch elements, enforcing how many may be 'on' and submitting their 'on' values together.
+ * @extends HTMLElement
+ * @property {boolean} exclusive
+ * @property {number|null} min
+ * @property {number|null} max
+ * @property {string} name
+ * @property {string[]} value
+ * @property {SwitchElement[]} switches
+ * @param {boolean} [exclusive=false] - Only one switch may be 'on' at a time, turning one 'on' turns the others 'off'.
+ * @param {number} [min] - The fewest switches which must stay 'on'.
+ * @param {number} [max] - The most switches which may be 'on'.
+ * @param {string} [name] - The name the 'on' values are submitted under.
+ */
+export class SwitchGroupElement extends HTMLElement {
+	/**
+	 * Constructs the switch group object and shadow DOM.
+	 *
+	 * @constructor
+	 */
+	constructor() {
+		super();
+
+		// Create the shadow root
+		this.attachShadow({ mode: 'open' });
+
+		this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+		/**
+		 * The form internals used to participate in forms, null where ElementInternals isn't supported.
+		 * @private
+		 */
+		this.internals = SUPPORTS_INTERNALS ? this.attachInternals() : null;
+
+		/**
+		 * Fallback hidden inputs which carry the values on form submission for browsers without ElementInternals.
+		 * @private
+		 */
+		this._inputs = [];
+
+		/**
+		 * The name and values last submitted, so unchanged values aren't written again.
+		 * @private
+		 */
+		this._submitted = null;
+
+		/** @private */
+		this._observer = new MutationObserver(() => this._updateFormValue());
+
+		/**
+		 * Attaches the change event to the group, replacing the switches' change events with its own. It's attached
+		 * on construction so it runs before any other listener of the group, which mustn't see the switches' events.
+		 * @param {string} type
+		 * @param {_change} listener
+		 */
+		this.addEventListener('change', this._change);
+	}
+
+
+	/**
+	 * Marks the switch group as a form-associated custom element.
+	 *
+	 * @private
+	 * @return {boolean}
+	 */
+	static get formAssociated() {
+		return true;
+	}
+
+
+	/**
+	 * Callback function when the switch group element is appended to the DOM.
+	 *
+	 * @private
+	 * @callback connectedCallback
+	 * @see {@link https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks|Web Components - Using the Lifecycle Callbacks}
+	 */
+	connectedCallback() {
+		if (!this.hasAttribute('role'))
+			this.setAttribute('role', 'group');
+
+		/**
+		 * Attaches the beforetoggle event to the group, vetoing toggles which break its rules.
+		 * @param {string} type
+		 * @param {_beforeToggle} listener
+		 */
+		this.addEventListener('beforetoggle', this._beforeToggle);
+
+		// Switches may be added, removed or changed programmatically at any time
+		this._observer.observe(this, {
+			subtree: true,
+			childList: true,
+			attributes: true,
+			attributeFilter: ['aria-checked', 'value'],
+		});
+
+		this._updateFormValue();
+	}
+
+
+	/**
+	 * Callback function when the switch group element is removed from the DOM.
+	 *
+	 * @private
+	 * @callback disconnectedCallback
+	 * @see {@link https://developer.mozilla.org/en-US/docs/Web/Web_Components/Using_custom_elements#Using_the_lifecycle_callbacks|Web Components - Using the Lifecycle Callbacks}
+	 */
+	disconnectedCallback() {
+		this.removeEventListener('beforetoggle', this._beforeToggle);
+
+		this._observer.disconnect();
+	}
+
+
+	/**
+	 * Response to a switch's _beforetoggle_ event, vetoing the toggle if it would leave more than `max` switches 'on'
+	 * (unless exclusive) or fewer than `min`.
+	 *
+	 * @private
+	 * @listens SwitchElement#event:beforetoggle
+	 * @param {CustomEvent} e - The beforetoggle event.
+	 */
+	_beforeToggle(e) {
+		if(!this.switches.includes(e.target)) return;
+
+		const others = this.switches.filter(element => element !== e.target && element.checked).length;
+
+		if(e.detail.newState === 'on') {
+			if(!this.exclusive && this.max !== null && others + 1 > this.max)
+				e.preventDefault();
+		} else {
+			if(this.min !== null && others < this.min)
+				e.preventDefault();
+		}
+	}
+
+
+	/**
+	 * Response to a switch's _change_ event, turning the other switches 'off' when exclusive and firing a single
+	 * _change_ event from the group in place of the switch's.
+	 *
+	 * @private
+	 * @fires SwitchGroupElement#event:change
+	 * @listens SwitchElement#event:change
+	 * @param {Event} e - The change event.
+	 */
+	_change(e) {
+		if(!this.switches.includes(e.target)) return;
+
+		e.stopImmediatePropagation();
+
+		if(this.exclusive && e.target.checked) {
+			this.switches.forEach(element => {
+				if(element !== e.target)
+					element.checked = false;
+			});
+		}
+
+		this._updateFormValue();
+
+		this.dispatchEvent(new CustomEvent('change', {
+			bubbles: true,
+			composed: true,
+			detail: { value: this.value },
+		}));
+	}
+
+
+	/**
+	 * Updates the values submitted with the form, each 'on' value under the group's name.
+	 *
+	 * @private
+	 */
+	_updateFormValue() {
+		const name = this.name;
+		const values = name === null ? [] : this.value;
+		const submitted = JSON.stringify([name, values]);
+
+		if(submitted === this._submitted) return;
+
+		this._submitted = submitted;
+
+		if(this.internals) {
+			const data = new FormData();
+
+			values.forEach(value => data.append(name, value));
+
+			this.internals.setFormValue(values.length ? data : null);
+			return;
+		}
+
+		this._inputs.forEach(input => input.remove());
+
+		this._inputs = values.map(value => {
+			const input = document.createElement('input');
+
+			input.setAttribute('type', 'hidden');
+			input.setAttribute('name', name);
+			input.setAttribute('value', value);
+
+			return this.appendChild(input);
+		});
+	}
+
+
+	/**
+	 * Gets the switches in the group, excluding those of any nested group.
+	 *
+	 * @return {SwitchElement[]} The group's switches.
+	 */
+	get switches() {
+		// Switches and groups may be defined under any tag name, so they're found by their class
+		return Array.from(this.querySelectorAll('*'))
+			.filter(element => element instanceof SwitchElement && groupOf(element) === this);
+	}
+
+
+	/**
+	 * Gets the values of the switches which are 'on'.
+	 *
+	 * @return {string[]} The 'on' values.
+	 */
+	get value() {
+		return this.switches
+			.filter(element => element.checked)
+			.map(element => element.value);
+	}
+
+	/**
+	 * Sets which switches are 'on' by their values, all others are turned 'off'.
+	 *
+	 * @param {string[]} value - The values of the switches to turn 'on'.
+	 */
+	set value(value) {
+		const values = Array.from(value, String);
+
+		this.switches.forEach(element => element.checked = values.includes(element.value));
+
+		this._updateFormValue();
+	}
+
+
+	/**
+	 * Gets the name the 'on' values are submitted under.
+	 *
+	 * @return {string|null} The name of the group.
+	 */
+	get name() {
+		return this.getAttribute('name');
+	}
+
+	/**
+	 * Sets the name the 'on' values are submitted under. Without a name the group submits nothing itself.
+	 *
+	 * @param {string} value - The name of the group.
+	 */
+	set name(value) {
+		this.setAttribute('name', value);
+	}
+
+
+	/**
+	 * Gets the exclusive state.
+	 *
+	 * @return {boolean} True if only one switch may be 'on' at a time, false otherwise.
+	 */
+	get exclusive() {
+		return this.hasAttribute('exclusive');
+	}
+
+	/**
+	 * Sets the exclusive state, turning a switch 'on' turns the others 'off' (like radio buttons).
+	 *
+	 * @param {boolean|int} value - A (boolean-castable) value which sets whether the group is exclusive.
+	 */
+	set exclusive(value) {
+		if(Boolean(value)) {
+			if(!this.hasAttribute('exclusive'))
+				this.setAttribute('exclusive', '');
+		} else {
+			if(this.hasAttribute('exclusive'))
+				this.removeAttribute('exclusive');
+		}
+	}
+
+
+	/**
+	 * Gets the fewest switches which must stay 'on'.
+	 *
+	 * @return {number|null} The minimum, null if there isn't one.
+	 */
+	get min() {
+		return parseCount(this.getAttribute('min'));
+	}
+
+	/**
+	 * Sets the fewest switches which must stay 'on', turning 'off' one more is prevented.
+	 *
+	 * @param {number|null} value - The minimum, null to remove it.
+	 */
+	set min(value) {
+		if(value === null) {
+			this.removeAttribute('min');
+		} else {
+			this.setAttribute('min', value);
+		}
+	}
+
+
+	/**
+	 * Gets the most switches which may be 'on'.
+	 *
+	 * @return {number|null} The maximum, null if there isn't one.
+	 */
+	get max() {
+		return parseCount(this.getAttribute('max'));
+	}
+
+	/**
+	 * Sets the most switches which may be 'on', turning 'on' one more is prevented.
+	 *
+	 * @param {number|null} value - The maximum, null to remove it.
+	 */
+	set max(value) {
+		if(value === null) {
+			this.removeAttribute('max');
+		} else {
+			this.setAttribute('max', value);
+		}
+	}
+
+
+	/**
+	 * Returns an array of attributes names observed by the HTMLElement attributeChangedCallback() callback.
+	 *
+	 * @private
+	 * @see attributeChangedCallback()
+	 * @return {array} A list of attribute names.
+	 */
+	static get observedAttributes() {
+		return [
+			'name',
+		];
+	}
+
+
+	/**
+	 * This function is _not_ to be called directly!
+	 *
+	 * @private
+	 * @callback attributeChangedCallback
+	 */
+	attributeChangedCallback(attr, oldValue, newValue) {
+		if (oldValue !== newValue)
+			this._updateFormValue();
+	}
+
+}
+
+
+/**
+ * Whether the browser supports form-associated custom elements through ElementInternals.
+ * @private
+ * @constant
+ * @type {boolean}
+ */
+const SUPPORTS_INTERNALS = 'attachInternals' in HTMLElement.prototype
+	&& typeof ElementInternals !== 'undefined'
+	&& 'setFormValue' in ElementInternals.prototype;
+
+
+/**
+ * Finds the group a switch belongs to, its nearest ancestor switch group.
+ *
+ * @private
+ * @param {SwitchElement} element
+ * @return {SwitchGroupElement|null} The group, null if the switch isn't in one.
+ */
+function groupOf(element) {
+	let parent = element.parentElement;
+
+	while(parent && !(parent instanceof SwitchGroupElement))
+		parent = parent.parentElement;
+
+	return parent;
+}
+
+
+/**
+ * Parses a `min`/`max` attribute value.
+ *
+ * @private
+ * @param {string|null} value
+ * @return {number|null} The non-negative whole number, null if missing or invalid.
+ */
+function parseCount(value) {
+	const count = Number.parseInt(value, 10);
+
+	return Number.isNaN(count) || count < 0 ? null : count;
+}
+
+
+const template = document.createElement('template');
+
+
+template.innerHTML = /* css */`
+	<style>
+		:host([hidden]) { display: none }
+
+		:host {
+			display: block;
+		}
+	</style>
+
+	<slot></slot>
+`;
+
+
+/**
+ * The registries {@link SwitchGroupElement} itself has been defined in.
+ * @private
+ * @type {WeakSet.<CustomElementRegistry>}
+ */
+const definedRegistries = new WeakSet();
+
+
+/**
+ * Defines the switch group as a custom element. Safe to call any number of times, e.g. when a page loads the
+ * script more than once, a tag name already defined isn't defined again.
+ *
+ * The switches themselves aren't defined, see {@link module:SwitchElement.defineSwitch}. The group finds its
+ * switches whichever tag name they're defined as.
+ *
+ * @example
+ * defineSwitch('acme-switch');
+ * defineSwitchGroup('acme-switch-group');
+ *
+ * @param {string} [tagName=cloud-switch-group] - The tag name to define the switch group as.
+ * @param {CustomElementRegistry} [registry=customElements] - The registry to define it in, e.g. a scoped registry.
+ * @return {CustomElementConstructor} The element defined under the tag name, which may be another version's
+ * if defined already.
+ */
+export function defineSwitchGroup(tagName = 'cloud-switch-group', registry = customElements) {
+	const defined = registry.get(tagName);
+
+	if(defined) return defined;
+
+	// A constructor can only be defined once per registry, so further tag names define a subclass
+	const element = definedRegistries.has(registry) ? class extends SwitchGroupElement {} : SwitchGroupElement;
+
+	registry.define(tagName, element);
+	definedRegistries.add(registry);
+
+	return element;
+}
+
+
+export default SwitchGroupElement;
+
+/**
+ * This event is fired when the user has changed the state of a switch in the group, replacing the switch's own event.
+ * @event SwitchGroupElement#change
+ * @type {CustomEvent}
+ * @property {object} detail
+ * @property {string[]} detail.value - The values of the switches which are 'on'.
+ */